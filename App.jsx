@@ -4,47 +4,208 @@ import { motion } from 'framer-motion';
 // --- Helper Functions ---
 // Note: Functionality remains the same. Ensure API keys are inserted where indicated if running this code.
 
-const toBase64 = file => new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.readAsDataURL(file);
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = error => reject(error);
+const createAbortError = () => new DOMException("Generation cancelled.", 'AbortError');
+
+const isAbortError = (error) => error?.name === 'AbortError';
+
+// Like setTimeout as a promise, but rejects with an AbortError as soon as the signal fires.
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+    }
+    let timer;
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+    };
+    timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
 });
 
-const fetchWithRetry = (url, options, retries = 5, backoff = 1000) => {
-    return new Promise((resolve, reject) => {
-        const attempt = async (retryCount, delay) => {
-            try {
-                const response = await fetch(url, options);
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({}));
-                    console.error('API Error:', errorData);
-                    if (response.status === 429 && retryCount > 0) {
-                        console.log(`Rate limited. Retrying in ${delay / 1000}s...`);
-                        setTimeout(() => attempt(retryCount - 1, delay * 2), delay);
-                    } else if (response.status === 401) {
-                        reject(new Error(`API request failed with status 401: Unauthorized. Please ensure your API key is valid.`));
-                    }
-                    else {
-                        reject(new Error(`API request failed with status ${response.status}: ${errorData.error?.message || 'Unknown error'}`));
-                    }
-                } else {
-                    resolve(response.json());
-                }
-            } catch (error) {
-                if (retryCount > 0) {
-                    console.log(`Request failed. Retrying in ${delay / 1000}s...`, error);
-                    setTimeout(() => attempt(retryCount - 1, delay * 2), delay);
-                } else {
-                    reject(error);
-                }
+// --- Retry Policy ---
+// Every request goes through exactly one retry loop (retryWithPolicy). Single attempts are made with
+// fetchJson; providers must not retry on their own, so one failing card can't multiply requests.
+
+const RETRY_POLICY = {
+    maxAttempts: 4, // One request plus the retries a card may spend, whatever the cause; all of its variants share them.
+    maxTotalWaitMs: 90000, // Total time a card may spend waiting between attempts.
+    maxDelayMs: 30000,
+    baseDelayMs: {
+        rateLimit: 4000,
+        server: 2000,
+        network: 1000,
+        emptyResponse: 2500,
+    },
+};
+
+class ApiError extends Error {
+    constructor(message, status, retryAfterMs = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+class EmptyResponseError extends Error {
+    constructor(message = "API returned no image data.", modelText = null) {
+        super(message);
+        this.name = 'EmptyResponseError';
+        this.modelText = modelText;
+    }
+}
+
+// The model refused or a safety filter blocked the result. Retrying the same request won't help.
+class GenerationBlockedError extends Error {
+    constructor(reason, modelText = null) {
+        super(`Generation was blocked (${reason}).`);
+        this.name = 'GenerationBlockedError';
+        this.reason = reason;
+        this.modelText = modelText;
+    }
+}
+
+// fetch itself failed (offline, DNS, CORS, connection reset); the request never got a response.
+class NetworkError extends Error {
+    constructor(cause) {
+        super(`Network request failed: ${cause?.message || 'unknown error'}`, { cause });
+        this.name = 'NetworkError';
+    }
+}
+
+const BLOCK_REASON_MESSAGES = {
+    SAFETY: "The request was blocked by the safety filters.",
+    IMAGE_SAFETY: "The generated image was blocked by the image safety filters.",
+    PROHIBITED_CONTENT: "The request was flagged as prohibited content.",
+    IMAGE_PROHIBITED_CONTENT: "The generated image was flagged as prohibited content.",
+    BLOCKLIST: "The request contains terms that are not allowed.",
+    SPII: "The request or result contained sensitive personal information.",
+    RECITATION: "The result was too close to existing protected content.",
+    OTHER: "The model declined the request without giving a reason.",
+};
+
+// Shared by every request in flight: once one of them is rate limited, all of them hold off until the backoff has passed.
+let rateLimitedUntil = 0;
+
+const waitForRateLimit = async (signal) => {
+    let wait;
+    while ((wait = rateLimitedUntil - Date.now()) > 0) {
+        await sleep(wait, signal);
+    }
+};
+
+// Retry-After is either a number of seconds or an HTTP date.
+const parseRetryAfter = (value) => {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const classifyFailure = (error) => {
+    if (isAbortError(error)) return 'abort';
+    if (error instanceof ApiError) {
+        if (error.status === 429) return 'rateLimit';
+        if (error.status === 408 || error.status >= 500) return 'server';
+        return 'fatal';
+    }
+    if (error instanceof EmptyResponseError) return 'emptyResponse';
+    if (error instanceof GenerationBlockedError) return 'fatal';
+    if (error instanceof NetworkError) return 'network';
+    return 'fatal';
+};
+
+const getRetryDelay = (kind, attempt, error, policy) => {
+    if (error.retryAfterMs != null) {
+        // Honor the server, with a little jitter so parallel workers don't return in lockstep.
+        return error.retryAfterMs + Math.random() * 500;
+    }
+    const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs[kind] * Math.pow(2, attempt - 1));
+    return exponential / 2 + Math.random() * exponential / 2;
+};
+
+// The retries and waiting a card may spend. Calls that belong to the same card share one budget.
+const createRetryBudget = (policy = RETRY_POLICY) => ({ retriesLeft: policy.maxAttempts - 1, waited: 0 });
+
+const retryWithPolicy = async (task, { signal, policy = RETRY_POLICY, label = 'Request', budget = createRetryBudget(policy) } = {}) => {
+    for (let attempt = 1; ; attempt++) {
+        await waitForRateLimit(signal);
+        try {
+            return await task(attempt);
+        } catch (error) {
+            const kind = classifyFailure(error);
+            const delay = kind === 'abort' || kind === 'fatal' || budget.retriesLeft <= 0
+                ? null
+                : getRetryDelay(kind, attempt, error, policy);
+
+            if (delay === null || budget.waited + delay > policy.maxTotalWaitMs) {
+                error.attempts = attempt;
+                throw error;
             }
-        };
-        attempt(retries, backoff);
-    });
+
+            if (kind === 'rateLimit') {
+                rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + delay);
+            }
+            console.log(`${label} failed (${kind}) on attempt ${attempt}. Retrying in ${(delay / 1000).toFixed(1)}s (${budget.retriesLeft - 1} retries left)...`, error);
+            budget.retriesLeft--;
+            budget.waited += delay;
+            await sleep(delay, signal);
+        }
+    }
+};
+
+// A single request; failures are thrown as ApiError so retryWithPolicy can tell them apart.
+const fetchJson = async (url, options) => {
+    let response;
+    try {
+        response = await fetch(url, options);
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        throw new NetworkError(error);
+    }
+    if (response.ok) {
+        return response.json();
+    }
+
+    const errorData = await response.json().catch(() => ({}));
+    console.error('API Error:', errorData);
+    const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+
+    if (response.status === 401) {
+        throw new ApiError(`API request failed with status 401: Unauthorized. Please ensure your API key is valid.`, 401);
+    }
+    if (response.status === 403) {
+        throw new ApiError(`API request failed with status 403: Forbidden. Your API key doesn't have access to this model or endpoint.`, 403);
+    }
+    throw new ApiError(`API request failed with status ${response.status}: ${errorData.error?.message || 'Unknown error'}`, response.status, retryAfterMs);
+};
+
+const fetchWithRetry = (url, options, retries = RETRY_POLICY.maxAttempts - 1) => retryWithPolicy(
+    () => fetchJson(url, options),
+    { signal: options.signal, policy: { ...RETRY_POLICY, maxAttempts: retries + 1 } }
+);
+
+// Runs worker over items with at most `limit` calls in flight; workers handle their own errors.
+const runWithConcurrency = async (items, limit, worker) => {
+    let nextIndex = 0;
+    const runNext = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            await worker(items[index], index);
+        }
+    };
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workerCount }, runNext));
 };
 
-const cropImage = (imageUrl, aspectRatio) => new Promise((resolve, reject) => {
+// 'cover' fills the frame and trims the edges; 'contain' keeps the whole picture and fills the
+// leftover space with a blurred copy, so people standing at the edges aren't cut off.
+const cropImage = (imageUrl, aspectRatio, fit = 'cover') => new Promise((resolve, reject) => {
     const img = new Image();
     img.crossOrigin = "anonymous";
     img.src = imageUrl;
@@ -59,6 +220,19 @@ const cropImage = (imageUrl, aspectRatio) => new Promise((resolve, reject) => {
         const [targetW, targetH] = aspectRatio.split(':').map(Number);
         const targetAspectRatio = targetW / targetH;
 
+        if (fit === 'contain') {
+            const isWider = originalAspectRatio > targetAspectRatio;
+            canvas.width = isWider ? originalWidth : originalHeight * targetAspectRatio;
+            canvas.height = isWider ? originalWidth / targetAspectRatio : originalHeight;
+            const coverScale = Math.max(canvas.width / originalWidth, canvas.height / originalHeight);
+            ctx.filter = 'blur(24px) brightness(0.6)';
+            ctx.drawImage(img, (canvas.width - originalWidth * coverScale) / 2, (canvas.height - originalHeight * coverScale) / 2, originalWidth * coverScale, originalHeight * coverScale);
+            ctx.filter = 'none';
+            ctx.drawImage(img, (canvas.width - originalWidth) / 2, (canvas.height - originalHeight) / 2);
+            resolve(canvas.toDataURL('image/png'));
+            return;
+        }
+
         if (originalAspectRatio > targetAspectRatio) {
             sourceHeight = originalHeight;
             sourceWidth = originalHeight * targetAspectRatio;
@@ -80,464 +254,3437 @@ const cropImage = (imageUrl, aspectRatio) => new Promise((resolve, reject) => {
     img.onerror = (err) => reject(err);
 });
 
-// Implementation for generateDynamicPrompt (used by 80s Mall theme)
-const generateDynamicPrompt = async (themeDescription) => {
-    // In a real application, this should call the Gemini API to define the style.
-    // We will use a fallback/placeholder here.
-    console.log("Generating dynamic prompt (using fallback) for:", themeDescription);
-    // Simulate delay
-    await new Promise(resolve => setTimeout(resolve, 1500));
-    return "A retro 80s studio background with laser beams, neon geometric shapes, fog, and dramatic backlighting.";
+// Local pool of '80s studio styles, used whenever the text model can't provide one.
+const FALLBACK_ALBUM_STYLES = [
+    {
+        backdrop: "a retro studio backdrop with laser beams and neon geometric shapes",
+        lighting: "dramatic colored backlighting with a haze of fog",
+        wardrobePalette: "electric blue, hot pink and silver",
+        props: "a chrome boombox",
+    },
+    {
+        backdrop: "a mottled blue-and-gray canvas backdrop typical of a mall portrait studio",
+        lighting: "soft, even key light with a warm hair light",
+        wardrobePalette: "pastel pink, mint green and cream",
+        props: "a white wicker chair",
+    },
+    {
+        backdrop: "a starry cosmic backdrop with a glowing planet",
+        lighting: "cool moody lighting with purple rim lights",
+        wardrobePalette: "black, purple and metallic gold",
+        props: "a vintage telephone with a curly cord",
+    },
+    {
+        backdrop: "a sunset gradient backdrop with palm tree silhouettes",
+        lighting: "golden, glowing light with a soft-focus filter",
+        wardrobePalette: "coral, turquoise and white",
+        props: "oversized sunglasses and a denim jacket slung over the shoulder",
+    },
+    {
+        backdrop: "a bold Memphis-style backdrop with squiggles, triangles and confetti dots",
+        lighting: "bright, high-key flash lighting",
+        wardrobePalette: "primary red, yellow and teal",
+        props: "a Rubik's cube",
+    },
+    {
+        backdrop: "a smoky black backdrop with a neon grid floor",
+        lighting: "hard spotlight from above with magenta and cyan gels",
+        wardrobePalette: "black leather, neon green and chrome",
+        props: "a keytar",
+    },
+];
+
+const ALBUM_STYLE_FIELDS = ['backdrop', 'lighting', 'wardrobePalette', 'props'];
+
+const pickFallbackAlbumStyle = () => FALLBACK_ALBUM_STYLES[Math.floor(Math.random() * FALLBACK_ALBUM_STYLES.length)];
+
+const isValidAlbumStyle = (style) => !!style && ALBUM_STYLE_FIELDS.every(field => typeof style[field] === 'string' && style[field].trim() !== '');
+
+// Asks a Gemini text model for a structured photoshoot style (used by 80s Mall theme).
+// Providers without a Gemini text model go straight to the local pool.
+const generateDynamicPrompt = async (themeDescription, providerSettings, signal) => {
+    const { provider, apiKey, baseUrl } = resolveProviderSettings(providerSettings);
+    if (!provider.textModel) {
+        return pickFallbackAlbumStyle();
+    }
+    try {
+        const apiUrl = `${baseUrl}/models/${provider.textModel}:generateContent?key=${apiKey}`;
+
+        const payload = {
+            contents: [{
+                parts: [{ text: `Invent one cohesive photoshoot style for this brief: ${themeDescription} Be specific and visual. Describe the backdrop, the lighting, a wardrobe color palette of two or three colors, and one or two props.` }]
+            }],
+            generationConfig: {
+                responseMimeType: "application/json",
+                responseSchema: {
+                    type: "OBJECT",
+                    properties: {
+                        backdrop: { type: "STRING" },
+                        lighting: { type: "STRING" },
+                        wardrobePalette: { type: "STRING" },
+                        props: { type: "STRING" },
+                    },
+                    required: ALBUM_STYLE_FIELDS,
+                },
+            },
+        };
+
+        const result = await fetchWithRetry(apiUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+            signal,
+        }, 2);
+
+        const text = result?.candidates?.[0]?.content?.parts?.find(p => p.text)?.text;
+        const style = text ? JSON.parse(text) : null;
+
+        if (!isValidAlbumStyle(style)) {
+            throw new Error("The model returned an incomplete photoshoot style.");
+        }
+        return {
+            backdrop: style.backdrop.trim(),
+            lighting: style.lighting.trim(),
+            wardrobePalette: style.wardrobePalette.trim(),
+            props: style.props.trim(),
+        };
+    } catch (error) {
+        console.warn("Could not generate a dynamic style, using a fallback:", error);
+        return pickFallbackAlbumStyle();
+    }
+};
+
+const describeAlbumStyle = (style) => `Backdrop: ${style.backdrop}. Lighting: ${style.lighting}. Wardrobe color palette: ${style.wardrobePalette}. Props: ${style.props}.`;
+
+
+const base64ToBlob = (base64, mimeType) => {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
 };
 
+const loadImage = (src) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => resolve(img);
+    img.onerror = reject;
+    img.src = src;
+});
 
-const generateImageWithRetry = async (payload, totalAttempts = 3) => {
-    let lastError;
-    for (let attempt = 1; attempt <= totalAttempts; attempt++) {
-        try {
-            const apiKey = ""; // An empty key is correctly handled by the environment.
+// --- Upload Normalization ---
+// Every reference photo is decoded, turned upright, scaled down and re-encoded before it's used, so
+// payloads always carry a real PNG or JPEG with a matching mimeType and no 10 MB phone originals.
 
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-image-preview:generateContent?key=${apiKey}`;
-            
-            const result = await fetchWithRetry(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-            
-            const base64Data = result?.candidates?.[0]?.content?.parts?.find(p => p.inlineData)?.inlineData?.data;
+const UPLOAD_EDGE_OPTIONS = [1024, 1536, 2048];
+const UPLOAD_JPEG_QUALITY = 0.9;
+const UPLOAD_ACCEPT = "image/png, image/jpeg, image/webp, image/avif, image/heic, image/heif, .heic, .heif";
 
-            if (base64Data) {
-                return `data:image/png;base64,${base64Data}`;
-            }
+class UploadError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UploadError';
+    }
+}
 
-            lastError = new Error("API returned no image data.");
-            console.warn(`Attempt ${attempt}/${totalAttempts}: ${lastError.message}`);
+const parseDataUrl = (dataUrl) => {
+    const comma = dataUrl.indexOf(',');
+    return {
+        mimeType: dataUrl.slice(5, comma).split(';')[0] || 'image/png',
+        data: dataUrl.slice(comma + 1),
+    };
+};
 
-        } catch (error) {
-            lastError = error;
-            console.error(`Attempt ${attempt}/${totalAttempts} failed:`, error);
+// Reads the EXIF orientation (1–8) of a JPEG; 1 when there is none or the file is malformed.
+const readExifOrientation = (buffer) => {
+    try {
+        const view = new DataView(buffer);
+        if (view.getUint16(0) !== 0xFFD8) return 1;
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+                const tiff = offset + 10;
+                const littleEndian = view.getUint16(tiff) === 0x4949;
+                const ifd = tiff + view.getUint32(tiff + 4, littleEndian);
+                const entries = view.getUint16(ifd, littleEndian);
+                for (let i = 0; i < entries; i++) {
+                    const entry = ifd + 2 + i * 12;
+                    if (view.getUint16(entry, littleEndian) === 0x0112) return view.getUint16(entry + 8, littleEndian);
+                }
+                return 1;
+            }
+            if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return 1; // Not a marker, or image data starts
+            offset += 2 + view.getUint16(offset + 2);
         }
+    } catch (err) {
+        console.warn("Could not read EXIF orientation:", err);
+    }
+    return 1;
+};
 
-        if (attempt < totalAttempts) {
-            const delay = 2500 * Math.pow(2, attempt - 1);
-            console.log(`Waiting ${delay / 1000}s before next attempt...`);
-            await new Promise(res => setTimeout(res, delay));
+// createImageBitmap applies the EXIF orientation itself. The <img> fallback only does so where CSS
+// image-orientation is supported; elsewhere the orientation is returned so we can rotate by hand.
+const decodeUpload = async (blob) => {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+            return { source: bitmap, width: bitmap.width, height: bitmap.height, orientation: 1 };
+        } catch (err) {
+            console.info("createImageBitmap couldn't decode the upload, trying <img>:", err.message);
         }
     }
+    const url = URL.createObjectURL(blob);
+    try {
+        const img = await loadImage(url);
+        const isAutoOriented = typeof CSS !== 'undefined' && CSS.supports('image-orientation', 'from-image');
+        const orientation = !isAutoOriented && blob.type === 'image/jpeg' ? readExifOrientation(await blob.arrayBuffer()) : 1;
+        return { source: img, width: img.naturalWidth, height: img.naturalHeight, orientation };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+};
 
-    throw new Error(`Image generation failed after ${totalAttempts} attempts. Last error: ${lastError?.message || 'Unknown error'}`);
+// Canvas transforms for EXIF orientations 2–8, for an image drawn at width x height.
+const applyExifOrientation = (ctx, orientation, width, height) => {
+    switch (orientation) {
+        case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+        case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+        case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+        case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+        case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+        case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+        case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+        default: break;
+    }
 };
 
-const createSingleFramedImage = (imageUrl, cropRatio, labelText = null) => new Promise(async (resolve, reject) => {
+const isImageFile = (file) => (file.type || '').startsWith('image/') || /\.(hei[cf]|avif|webp)$/i.test(file.name || '');
+
+// Most sites don't allow other pages to read their images (CORS); that failure gets its own message.
+const fetchImageFromUrl = async (url) => {
+    let parsed;
     try {
-        const croppedImgUrl = await cropImage(imageUrl, cropRatio);
-        const img = new Image();
-        img.crossOrigin = "anonymous";
-        img.src = croppedImgUrl;
-        img.onload = () => {
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
+        parsed = new URL(url);
+    } catch (err) {
+        throw new UploadError("That doesn't look like a valid image link.");
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new UploadError("Only http and https image links can be imported.");
+    }
+    let response;
+    try {
+        response = await fetch(parsed.href);
+    } catch (err) {
+        throw new UploadError("That site doesn't let other pages load its images. Download the image and upload the file instead.");
+    }
+    if (!response.ok) {
+        throw new UploadError(`The image couldn't be downloaded (HTTP ${response.status}).`);
+    }
+    const blob = await response.blob();
+    // Untyped downloads go on to the decoder; anything labelled as another kind of file (usually a web page) stops here.
+    const isUntyped = !blob.type || blob.type === 'application/octet-stream';
+    if (!isUntyped && !isImageFile({ type: blob.type, name: parsed.pathname })) {
+        throw new UploadError(`That link isn't an image (the site sent ${blob.type.split(';')[0]}). Copy the address of the picture itself and try again.`);
+    }
+    return blob;
+};
 
-            const hasLabel = !!labelText;
-            const sidePadding = img.width * 0.04;
-            const topPadding = img.width * 0.04;
-            let bottomPadding = img.width * 0.18;
+// PNGs stay lossless (screenshots, transparency); everything else is re-encoded as JPEG.
+const normalizeUploadedImage = async (blob, { maxEdge = DEFAULT_PROVIDER_SETTINGS.maxImageEdge, outputType = null } = {}) => {
+    let decoded;
+    try {
+        decoded = await decodeUpload(blob);
+    } catch (err) {
+        const isHeic = /^image\/hei[cf]$/.test(blob.type) || /\.hei[cf]$/i.test(blob.name || '');
+        throw new UploadError(isHeic
+            ? "This browser can't open HEIC photos. Export the photo as JPEG (on iPhone: Settings > Camera > Formats > Most Compatible) and try again."
+            : "That file couldn't be read as an image. Please try a PNG, JPEG or WebP photo.");
+    }
 
-            if(hasLabel) {
-                bottomPadding = img.width * 0.24;
-            }
-            
-            canvas.width = img.width + sidePadding * 2;
-            canvas.height = img.height + topPadding + bottomPadding;
+    const { source, orientation } = decoded;
+    const scale = Math.min(1, maxEdge / Math.max(decoded.width, decoded.height));
+    const width = Math.round(decoded.width * scale);
+    const height = Math.round(decoded.height * scale);
+    const isRotated = orientation >= 5;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = isRotated ? height : width;
+    canvas.height = isRotated ? width : height;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    applyExifOrientation(ctx, orientation, width, height);
+    ctx.drawImage(source, 0, 0, width, height);
+    if (typeof source.close === 'function') source.close();
+
+    const mimeType = outputType || (blob.type === 'image/png' ? 'image/png' : 'image/jpeg');
+    return canvas.toDataURL(mimeType, UPLOAD_JPEG_QUALITY);
+};
 
-            ctx.fillStyle = '#111827'; // A dark gray for the frame
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
-            
-            ctx.drawImage(img, sidePadding, topPadding);
-
-            if (hasLabel) {
-                 const labelFontSize = Math.max(24, Math.floor(img.width * 0.08));
-                 ctx.font = `700 ${labelFontSize}px Caveat, cursive`;
-                 ctx.fillStyle = "rgba(255, 255, 255, 0.9)";
-                 ctx.textAlign = 'center';
-                 ctx.textBaseline = 'middle';
-                 ctx.fillText(labelText, canvas.width / 2, img.height + topPadding + (bottomPadding - img.width * 0.1) / 2);
-            }
+// --- Photo Editor ---
+// Edits are stored as plain numbers relative to a square stage, so the same edit can be re-opened
+// in the editor and rendered at full resolution. The stage shows the whole photo at zoom 1.
+
+const CROP_RATIOS = [
+    { id: 'free', label: 'Free', value: null },
+    { id: '1:1', label: '1:1', value: 1 },
+    { id: '3:4', label: '3:4', value: 3 / 4 },
+    { id: '4:3', label: '4:3', value: 4 / 3 },
+    { id: '9:16', label: '9:16', value: 9 / 16 },
+];
+const MIN_CROP_SIZE = 0.1;
+const MAX_PHOTO_ZOOM = 4;
+
+const FULL_STAGE = { x: 0, y: 0, w: 1, h: 1 };
+
+// Where a photo of this size sits on the square stage at zoom 1.
+const getImageBounds = (width, height) => {
+    const max = Math.max(width, height);
+    const w = width / max;
+    const h = height / max;
+    return { x: (1 - w) / 2, y: (1 - h) / 2, w, h };
+};
 
-            // Add "Made with Gemini" text
-            const fontSize = Math.max(12, Math.floor(img.width * 0.05));
-            ctx.font = `600 ${fontSize}px Inter, sans-serif`;
-            ctx.fillStyle = "rgba(255, 255, 255, 0.4)";
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.fillText("Made with Gemini", canvas.width / 2, canvas.height - (img.width * 0.11));
+// Largest box of the given ratio inside the bounds, centered. Free crops start as the bounds themselves.
+const fitCropBox = (ratio, bounds = FULL_STAGE) => {
+    if (!ratio) return bounds;
+    const isWider = ratio > bounds.w / bounds.h;
+    const w = isWider ? bounds.w : bounds.h * ratio;
+    const h = isWider ? bounds.w / ratio : bounds.h;
+    return { x: bounds.x + (bounds.w - w) / 2, y: bounds.y + (bounds.h - h) / 2, w, h };
+};
 
-            // Add new text
-            const nanoFontSize = Math.max(8, Math.floor(img.width * 0.035));
-            ctx.font = `600 ${nanoFontSize}px Inter, sans-serif`;
-            ctx.fillText("Edit your images with Nano Banana at gemini.google", canvas.width / 2, canvas.height - (img.width * 0.05));
+const DEFAULT_PHOTO_EDIT = { zoom: 1, quarterTurns: 0, straighten: 0, panX: 0, panY: 0, ratio: 'free', box: FULL_STAGE };
+
+const getEditRotation = (edit) => edit.quarterTurns * 90 + edit.straighten;
+
+// Renders the crop box at the photo's own resolution (capped at maxEdge).
+const renderPhotoEdit = async (imageUrl, edit, { maxEdge = DEFAULT_PROVIDER_SETTINGS.maxImageEdge, mimeType = 'image/jpeg' } = {}) => {
+    const img = await loadImage(imageUrl);
+    const stage = Math.max(img.naturalWidth, img.naturalHeight); // At this stage size zoom 1 is 1:1 with the photo
+    const { box, zoom } = edit;
+    let scale = 1 / zoom;
+    scale *= Math.min(1, maxEdge / (Math.max(box.w, box.h) * stage * scale));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(box.w * stage * scale));
+    canvas.height = Math.max(1, Math.round(box.h * stage * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#111827'; // Corners uncovered by a rotation
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.imageSmoothingQuality = 'high';
+    ctx.scale(scale, scale);
+    ctx.translate(-box.x * stage, -box.y * stage);
+    ctx.translate(stage / 2 + edit.panX * stage, stage / 2 + edit.panY * stage);
+    ctx.rotate(getEditRotation(edit) * Math.PI / 180);
+    ctx.scale(zoom, zoom);
+    ctx.drawImage(img, -img.naturalWidth / 2, -img.naturalHeight / 2);
+    return canvas.toDataURL(mimeType, UPLOAD_JPEG_QUALITY);
+};
 
-            resolve(canvas.toDataURL('image/png'));
-        };
-        img.onerror = reject;
-    } catch(err) {
-        reject(err);
-    }
-});
+const getPayloadText = (payload) => payload.contents[0].parts.filter(p => p.text).map(p => p.text).join('\n\n');
 
+const getPayloadImages = (payload) => payload.contents[0].parts.filter(p => p.inlineData).map(p => p.inlineData);
 
-const getModelInstruction = (template, prompt, options) => {
-    const {
-        headshotExpression, headshotPose,
-        currentAlbumStyle,
-        hairColors,
-    } = options;
+// The instruction followed by every reference photo, in the order the user arranged them.
+const buildImagePayload = (instruction, imageDataUrls) => ({
+    contents: [{
+        parts: [
+            { text: instruction },
+            ...imageDataUrls.map(url => ({ inlineData: parseDataUrl(url) })),
+        ],
+    }],
+});
 
-    switch (template) {
-        case 'decades':
-            return `The highest priority is to maintain the exact facial features, likeness, perceived gender, framing, and composition of the person in the provided reference photo. Keeping the original photo's composition, change the person's hair, clothing, and accessories, as well as the photo's background, to match the style of the ${prompt.id}. Do not alter the person's core facial structure.`;
-        case 'impossibleSelfies':
-            return `The highest priority is to maintain the exact facial features, likeness, and perceived gender of the person in the provided reference photo. Keeping the original photo's composition as much as possible, place the person into the following scene, changing their clothing, hair, and the background to match: ${prompt.base}. Do not alter the person's core facial structure.`;
-        case 'hairStyler': {
-            let instruction = `The highest priority is to maintain the exact facial features, likeness, and perceived gender of the person in the provided reference photo. Keeping the original photo's composition, style the person's hair to be a perfect example of ${prompt.base}. If the person's hair already has this style, enhance and perfect it. Do not alter the person's core facial structure, clothing, or the background.`;
+// A follow-up edits the picture the user is looking at; the original photos only come along to hold the likeness.
+const buildRefinePayload = (request, currentImageUrl, originalImageUrls = []) => {
+    const likenessNote = originalImageUrls.length > 0
+        ? `\n\nThe ${originalImageUrls.length === 1 ? 'image after it is the original photo' : 'images after it are the original photos'} of the real subject. Use ${originalImageUrls.length === 1 ? 'it' : 'them'} only to keep faces and likeness accurate.`
+        : '';
+    return buildImagePayload(
+        `Edit the first image as follows: ${request}\n\nChange only what is asked. Keep the people, their faces, poses, framing and the overall style exactly as they are.${likenessNote}`,
+        [currentImageUrl, ...originalImageUrls]
+    );
+};
 
-            if (['Short', 'Medium', 'Long'].includes(prompt.id)) {
-                instruction += " Maintain the person's original hair texture (e.g., straight, wavy, curly).";
-            }
+// The mask travels as a second image: white where the model may change things, black everywhere else.
+const buildInpaintPayload = (instruction, imageUrl, modelMaskUrl) => buildImagePayload(
+    `Edit only the masked area of the first image: ${instruction}\n\nThe second image is the mask. White marks the area to change; everything that is black in the mask must stay exactly as it is. Return the whole image with the same size and framing.`,
+    [imageUrl, modelMaskUrl]
+);
 
-            if (hairColors && hairColors.length > 0) {
-                if (hairColors.length === 1) {
-                    instruction += ` The hair color should be ${hairColors[0]}.`;
-                } else if (hairColors.length === 2) {
-                    instruction += ` The hair should be a mix of two colors: ${hairColors[0]} and ${hairColors[1]}.`;
-                }
-            }
-            return instruction;
-        }
-        case 'headshots': {
-            const poseInstruction = headshotPose === 'Forward' ? 'facing forward towards the camera' : 'posed at a slight angle to the camera';
-            return `The highest priority is to maintain the exact facial features, likeness, and perceived gender of the person in the provided reference photo. Transform the image into a professional headshot. The person should be ${poseInstruction} with a "${headshotExpression}" expression. They should be ${prompt.base}. Please maintain the original hairstyle from the photo. The background should be a clean, neutral, out-of-focus studio background (like light gray, beige, or white). Do not alter the person's core facial structure. The final image should be a well-lit, high-quality professional portrait.`;
-        }
-        case 'eightiesMall':
-            return `The highest priority is to maintain the exact facial features, likeness, and perceived gender of the person in the provided reference photo. Transform the image into a photo from a single 1980s mall photoshoot. The overall style for the entire photoshoot is: "${currentAlbumStyle}". For this specific photo, the person should be in ${prompt.base}. The person's hair and clothing should be 80s style and be consistent across all photos in this set. The background and lighting must also match the overall style for every photo.`;
-        case 'styleLookbook': {
-            const finalStyle = options.lookbookStyle === 'Other' ? options.customLookbookStyle : options.lookbookStyle;
-            return `The highest priority is to maintain the exact facial features, likeness, and perceived gender of the person in the provided reference photo. Transform the image into a high-fashion lookbook photo. The overall fashion style for the entire lookbook is "${finalStyle}". For this specific photo, create a unique, stylish outfit that fits the overall style, and place the person in ${prompt.base} in a suitable, fashionable setting. The person's hair and makeup should also complement the style. Each photo in the lookbook should feature a different outfit. Do not alter the person's core facial structure.`;
+const hashString = (text) => {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+    }
+    return Math.abs(hash);
+};
+
+const drawWrappedText = (ctx, text, x, y, maxWidth, lineHeight, maxLines) => {
+    const words = text.split(/\s+/);
+    const lines = [];
+    let line = '';
+    for (const word of words) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (ctx.measureText(candidate).width > maxWidth && line) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
         }
-        case 'figurines':
-            return `The highest priority is to maintain the exact facial features and likeness of the person in the provided reference photo. Transform the person into a miniature figurine based on the following description, placing it in a realistic environment: ${prompt.base}. The final image should look like a real photograph of a physical object. Do not alter the person's core facial structure.`;
-        default:
-            return `Create an image based on the reference photo and this prompt: ${prompt.base}`;
     }
+    if (line) lines.push(line);
+    if (lines.length > maxLines) {
+        lines.length = maxLines;
+        lines[maxLines - 1] = `${lines[maxLines - 1]}…`;
+    }
+    lines.forEach((l, i) => ctx.fillText(l, x, y + i * lineHeight));
 };
 
-// --- Icons (Using SVG/Heroicons style) ---
+// Gemini's generateContent protocol, shared by the real API and the local mock server (mock-server.js).
+const testGemini = ({ apiKey, model, baseUrl }) => fetchWithRetry(`${baseUrl}/models/${model}?key=${apiKey}`, { method: 'GET' }, 0);
 
-const IconUpload = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-10 h-10"><path strokeLinecap="round" strokeLinejoin="round" d="M3 16.5v2.25A2.25 2.25 0 0 0 5.25 21h13.5A2.25 2.25 0 0 0 21 18.75V16.5m-13.5-9L12 3m0 0 4.5 4.5M12 3v13.5" /></svg>;
-const IconSparkles = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-6 h-6"><path strokeLinecap="round" strokeLinejoin="round" d="M9.813 15.904 9 18.75l-.813-2.846a4.5 4.5 0 0 0-3.09-3.09L2.25 12l2.846-.813a4.5 4.5 0 0 0 3.09-3.09L9 5.25l.813 2.846a4.5 4.5 0 0 0 3.09 3.09L15.75 12l-2.846.813a4.5 4.5 0 0 0-3.09 3.09ZM18.259 8.715 18 9.75l-.259-1.035a3.375 3.375 0 0 0-2.455-2.456L14.25 6l1.036-.259a3.375 3.375 0 0 0 2.455-2.456L18 2.25l.259 1.035a3.375 3.375 0 0 0 2.456 2.456L21.75 6l-1.035.259a3.375 3.375 0 0 0-2.456 2.456ZM16.894 20.567 16.5 21.75l-.394-1.183a2.25 2.25 0 0 0-1.423-1.423L13.5 18.75l1.183-.394a2.25 2.25 0 0 0 1.423-1.423l.394-1.183.394 1.183a2.25 2.25 0 0 0 1.423 1.423l1.183.394-1.183.394a2.25 2.25 0 0 0-1.423 1.423Z" /></svg>;
-const IconOptions = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-6 h-6"><path strokeLinecap="round" strokeLinejoin="round" d="M12 6.75a.75.75 0 1 1 0-1.5.75.75 0 0 1 0 1.5ZM12 12.75a.75.75 0 1 1 0-1.5.75.75 0 0 1 0 1.5ZM12 18.75a.75.75 0 1 1 0-1.5.75.75 0 0 1 0 1.5Z" /></svg>;
-const IconSearch = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5"><path strokeLinecap="round" strokeLinejoin="round" d="m21 21-5.197-5.197m0 0A7.5 7.5 0 1 0 5.196 5.196a7.5 7.5 0 0 0 10.607 10.607Z" /></svg>;
-const IconDownload = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5"><path strokeLinecap="round" strokeLinejoin="round" d="M3 16.5v2.25A2.25 2.25 0 0 0 5.25 21h13.5A2.25 2.25 0 0 0 21 18.75V16.5M16.5 12 12 16.5m0 0L7.5 12m4.5 4.5V3" /></svg>;
-const IconCamera = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-6 h-6"><path strokeLinecap="round" strokeLinejoin="round" d="M6.827 6.175A2.31 2.31 0 0 1 5.186 7.23c-.38.054-.757.112-1.134.175C2.999 7.58 2.25 8.507 2.25 9.574V18a2.25 2.25 0 0 0 2.25 2.25h15A2.25 2.25 0 0 0 21.75 18V9.574c0-1.067-.75-1.994-1.802-2.169a47.865 47.865 0 0 0-1.134-.175 2.31 2.31 0 0 1-1.64-1.055l-.822-1.316a2.192 2.192 0 0 0-1.736-1.039 48.776 48.776 0 0 0-5.232 0 2.192 2.192 0 0 0-1.736 1.039l-.821 1.316Z" /><path strokeLinecap="round" strokeLinejoin="round" d="M16.5 12.75a4.5 4.5 0 1 1-9 0 4.5 4.5 0 0 1 9 0ZM18.75 10.5h.008v.008h-.008V10.5Z" /></svg>;
-const IconPlus = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5"><path strokeLinecap="round" strokeLinejoin="round" d="M12 4.5v15m7.5-7.5h-15" /></svg>;
-const IconX = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5"><path strokeLinecap="round" strokeLinejoin="round" d="M6 18 18 6M6 6l12 12" /></svg>;
-const IconRegenerate = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={2} stroke="currentColor" className="w-6 h-6"><path strokeLinecap="round" strokeLinejoin="round" d="M16.023 16.023A7.5 7.5 0 1 0 8.25 8.25V6.75a.75.75 0 0 1 1.5 0v3.75a.75.75 0 0 1-.75.75H5.25a.75.75 0 0 1 0-1.5h2.37a5.98 5.98 0 0 1 8.403 8.403Z" /></svg>;
+const generateWithGemini = async (payload, { apiKey, model, baseUrl }, signal) => {
+    const apiUrl = `${baseUrl}/models/${model}:generateContent?key=${apiKey}`;
 
+    const result = await fetchJson(apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal,
+    });
 
-// --- React Components (Redesigned) ---
+    const candidate = result?.candidates?.[0];
+    const parts = candidate?.content?.parts || [];
+    const inlineData = parts.find(p => p.inlineData)?.inlineData;
+    if (inlineData?.data) {
+        return `data:${inlineData.mimeType || 'image/png'};base64,${inlineData.data}`;
+    }
 
-// UI: Modernized Button Component
-const Button = ({ children, onClick, disabled, primary = false, className = '' }) => {
-    const baseClass = "px-6 py-2 rounded-md font-semibold tracking-wider uppercase transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed";
-    const themeClass = primary 
-        ? "bg-yellow-400 text-black hover:bg-yellow-300" 
-        : "bg-transparent border border-gray-600 text-gray-300 hover:bg-gray-800 hover:text-white";
-    
-    return (
-        <button
-            onClick={onClick}
-            disabled={disabled}
-            className={`${baseClass} ${themeClass} ${className}`}
-        >
-            {children}
-        </button>
-    );
+    const modelText = parts.filter(p => p.text).map(p => p.text).join('\n').trim() || null;
+    const blockReason = result?.promptFeedback?.blockReason;
+    if (blockReason) {
+        throw new GenerationBlockedError(blockReason, modelText);
+    }
+    if (candidate?.finishReason && candidate.finishReason !== 'OTHER' && BLOCK_REASON_MESSAGES[candidate.finishReason]) {
+        throw new GenerationBlockedError(candidate.finishReason, modelText);
+    }
+    if (modelText) {
+        throw new EmptyResponseError("The model replied with text instead of an image.", modelText);
+    }
+    return null;
 };
 
-// UI: Modernized PhotoDisplay
-const PhotoDisplay = ({ era, imageUrl, onDownload, onRegenerate, isPolaroid = true, index=0, showLabel = true }) => {
-    const [isMenuOpen, setIsMenuOpen] = useState(false);
-    const menuRef = useRef(null);
+// Image generation providers. Each one takes the Gemini-style payload built by the App
+// and resolves with an image URL, or null when the response contained no image.
+const IMAGE_PROVIDERS = {
+    gemini: {
+        name: 'Google Gemini',
+        defaultModel: 'gemini-2.5-flash-image-preview',
+        defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        textModel: 'gemini-2.5-flash-preview-05-20',
+        test: testGemini,
+        generate: generateWithGemini,
+    },
+    mockServer: {
+        name: 'Local mock server',
+        defaultModel: 'gemini-2.5-flash-image-preview',
+        defaultBaseUrl: 'http://localhost:8787/v1beta',
+        textModel: 'gemini-2.5-flash-preview-05-20',
+        test: testGemini,
+        generate: generateWithGemini,
+    },
+    openai: {
+        name: 'OpenAI-compatible',
+        defaultModel: 'gpt-image-1',
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        test: ({ apiKey, model, baseUrl }) => fetchWithRetry(`${baseUrl}/models/${model}`, {
+            method: 'GET',
+            headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+        }, 0),
+        generate: async (payload, { apiKey, model, baseUrl }, signal) => {
+            const formData = new FormData();
+            formData.append('model', model);
+            formData.append('prompt', getPayloadText(payload));
+            getPayloadImages(payload).forEach((image, i) => {
+                formData.append('image[]', base64ToBlob(image.data, image.mimeType), `reference-${i + 1}.${image.mimeType.split('/')[1] || 'png'}`);
+            });
 
-    // Close menu on click outside
-    useEffect(() => {
-        const handleClickOutside = (event) => {
-            if (menuRef.current && !menuRef.current.contains(event.target)) {
-                setIsMenuOpen(false);
+            const result = await fetchJson(`${baseUrl}/images/edits`, {
+                method: 'POST',
+                headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+                body: formData,
+                signal,
+            });
+
+            const image = result?.data?.[0];
+            if (image?.b64_json) return `data:image/png;base64,${image.b64_json}`;
+            return image?.url || null;
+        },
+    },
+    mock: {
+        name: 'In-browser mock (offline)',
+        defaultModel: 'mock',
+        defaultBaseUrl: '',
+        test: async () => ({}),
+        generate: async (payload, settings, signal) => {
+            await sleep(800, signal);
+            const text = getPayloadText(payload);
+            const [source] = getPayloadImages(payload);
+            const img = source ? await loadImage(`data:${source.mimeType};base64,${source.data}`) : null;
+
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+            canvas.width = 1024;
+            canvas.height = 1024;
+
+            ctx.fillStyle = '#1f2937';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            if (img) {
+                const scale = Math.max(canvas.width / img.width, canvas.height / img.height);
+                ctx.drawImage(img, (canvas.width - img.width * scale) / 2, (canvas.height - img.height * scale) / 2, img.width * scale, img.height * scale);
             }
-        };
-        document.addEventListener("mousedown", handleClickOutside);
-        return () => document.removeEventListener("mousedown", handleClickOutside);
-    }, []);
 
-    const rotation = useMemo(() => {
-        if (!isPolaroid) return 'rotate-0';
-        const rotations = ['rotate-1', '-rotate-1', 'rotate-0.5', '-rotate-1.5'];
-        return rotations[index % rotations.length];
-    }, [index, isPolaroid]);
+            // Tint by the instruction so every card in an album looks different, but the same input always looks the same.
+            ctx.fillStyle = `hsla(${hashString(text) % 360}, 80%, 50%, 0.35)`;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-    const containerClass = isPolaroid
-            ? `relative group bg-gray-100 p-3 pb-12 shadow-xl transform transition-all duration-300 hover:shadow-2xl hover:scale-105 ${rotation}`
-            : 'relative group pb-4 bg-gray-900 rounded-xl shadow-lg transition-all duration-300 hover:shadow-2xl hover:scale-105';
-    
-    const imageContainerClass = isPolaroid
-            ? 'aspect-square bg-gray-200'
-            : 'rounded-t-xl overflow-hidden';
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.65)';
+            ctx.fillRect(0, canvas.height * 0.62, canvas.width, canvas.height * 0.38);
+            ctx.fillStyle = '#FFFFFF';
+            ctx.font = '600 26px Inter, sans-serif';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'top';
+            drawWrappedText(ctx, text, 32, canvas.height * 0.62 + 28, canvas.width - 64, 34, 10);
 
-    const textClass = isPolaroid
-        ? 'text-center mt-4 font-caveat text-3xl text-gray-900 absolute bottom-3 left-0 right-0'
-        : 'text-center mt-3 text-lg font-semibold text-gray-300 px-3';
+            return canvas.toDataURL('image/png');
+        },
+    },
+};
 
-    return (
-        <motion.div
-            initial={{ opacity: 0, y: 20 }}
-            animate={{ opacity: 1, y: 0 }}
-            transition={{ duration: 0.5 }}
-            className={containerClass}
-        >
-            <div className={imageContainerClass}>
-                <img src={imageUrl} alt={`You in ${era}`} className={`w-full ${isPolaroid ? 'h-full object-cover' : 'h-auto'}`} />
-            </div>
-            {showLabel && <p className={textClass}>{era}</p>}
+const DEFAULT_PROVIDER_SETTINGS = {
+    provider: 'gemini',
+    apiKey: "", // An empty key is correctly handled by the environment.
+    model: '',
+    baseUrl: '',
+    rememberKey: false,
+    concurrency: 3,
+    variantsPerPrompt: 1,
+    maxImageEdge: 1536,
+    exportFormat: 'png',
+    exportQuality: 0.92,
+    exportSize: 'original',
+    exportLongEdge: 3000,
+    exportPrintSize: '4x6',
+    exportDpi: 300,
+};
 
-            <div className="absolute top-3 right-3 z-10" ref={menuRef}>
-                <button
-                    onClick={() => setIsMenuOpen(!isMenuOpen)}
-                    className="p-2 rounded-full bg-black/60 text-white hover:bg-black/80 transition-colors backdrop-blur-sm shadow-lg"
-                    aria-label="Options"
-                >
-                    <IconOptions />
-                </button>
+const MAX_CONCURRENCY = 6;
+const MAX_VARIANTS_PER_PROMPT = 4;
 
-                {isMenuOpen && (
-                    <motion.div
-                        initial={{ opacity: 0, scale: 0.95 }}
-                        animate={{ opacity: 1, scale: 1 }}
-                        transition={{ duration: 0.1 }}
-                        className="absolute right-0 top-12 mt-2 w-48 origin-top-right bg-black/80 backdrop-blur-md rounded-lg shadow-2xl ring-1 ring-white/10 text-white text-sm flex flex-col p-1"
-                    >
-                        <span className="w-full text-left px-3 pt-2 pb-1 text-xs text-gray-500 uppercase tracking-wider">Actions</span>
-                        <button onClick={() => { onRegenerate(); setIsMenuOpen(false); }} className="w-full text-left px-3 py-2 hover:bg-yellow-400/20 rounded-md transition-colors">Regenerate</button>
-                        
-                        <div className="my-1 h-px bg-white/10"></div>
-                        
-                        <span className="w-full text-left px-3 pt-1 pb-1 text-xs text-gray-500 uppercase tracking-wider">Download</span>
-                        <button onClick={() => { onDownload(imageUrl, era, '1:1'); setIsMenuOpen(false); }} className="w-full text-left px-3 py-2 hover:bg-yellow-400/20 rounded-md transition-colors">Square (1:1)</button>
-                        <button onClick={() => { onDownload(imageUrl, era, '9:16'); setIsMenuOpen(false); }} className="w-full text-left px-3 py-2 hover:bg-yellow-400/20 rounded-md transition-colors">Portrait (9:16)</button>
-                    </motion.div>
-                )}
-            </div>
-        </motion.div>
-    );
+const SETTINGS_STORAGE_KEY = 'pictureMe.providerSettings';
+const API_KEY_STORAGE_KEY = 'pictureMe.apiKey';
+
+// The API key lives in localStorage only when the user asks us to remember it; otherwise it is kept for this tab in sessionStorage.
+const loadProviderSettings = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}');
+        const rememberKey = !!stored.rememberKey;
+        const apiKey = (rememberKey ? localStorage : sessionStorage).getItem(API_KEY_STORAGE_KEY) || '';
+        return { ...DEFAULT_PROVIDER_SETTINGS, ...stored, rememberKey, apiKey };
+    } catch (err) {
+        console.warn("Could not read saved settings:", err);
+        return { ...DEFAULT_PROVIDER_SETTINGS };
+    }
 };
 
-// UI: Skeleton Loader for LoadingCard
-const SkeletonLoader = ({ className }) => (
-    <div className={`animate-pulse bg-gray-800 ${className}`}></div>
-);
+const saveProviderSettings = ({ apiKey, ...settings }) => {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    localStorage.removeItem(API_KEY_STORAGE_KEY);
+    sessionStorage.removeItem(API_KEY_STORAGE_KEY);
+    if (apiKey) {
+        (settings.rememberKey ? localStorage : sessionStorage).setItem(API_KEY_STORAGE_KEY, apiKey);
+    }
+};
 
-const LoadingCard = ({ era, isPolaroid = true, showLabel = true }) => {
-    const containerClass = isPolaroid
-        ? 'relative bg-gray-100 p-3 pb-12 shadow-md'
-        : 'pb-4 bg-gray-900 rounded-xl shadow-md';
+const resolveProviderSettings = (settings) => {
+    const provider = IMAGE_PROVIDERS[settings.provider] || IMAGE_PROVIDERS[DEFAULT_PROVIDER_SETTINGS.provider];
+    return {
+        provider,
+        apiKey: settings.apiKey || '',
+        model: settings.model || provider.defaultModel,
+        baseUrl: (settings.baseUrl || provider.defaultBaseUrl).replace(/\/+$/, ''),
+    };
+};
 
-    const loaderClass = isPolaroid
+const generateImageWithRetry = async (payload, providerSettings = DEFAULT_PROVIDER_SETTINGS, signal = undefined, budget = undefined) => {
+    const { provider, ...settings } = resolveProviderSettings(providerSettings);
+    try {
+        return await retryWithPolicy(async () => {
+            const imageUrl = await provider.generate(payload, settings, signal);
+            if (!imageUrl) {
+                throw new EmptyResponseError();
+            }
+            return imageUrl;
+        }, { signal, label: 'Image generation', budget });
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        const attempts = error.attempts || 1;
+        throw new Error(`Image generation failed after ${attempts} attempt${attempts === 1 ? '' : 's'}. Last error: ${error.message || 'Unknown error'}`, { cause: error });
+    }
+};
+
+// Generates several takes on the same instruction, one after another so the concurrency limit still holds.
+// All takes draw on the card's one retry budget. Failed takes are dropped; the card only fails when none
+// of them worked, or at once when a failure would repeat for every take (bad key, blocked request).
+const generateImageVariants = async (payload, count, providerSettings = DEFAULT_PROVIDER_SETTINGS, signal = undefined) => {
+    const budget = createRetryBudget();
+    const variants = [];
+    let lastError = null;
+    for (let v = 0; v < count; v++) {
+        try {
+            variants.push(await generateImageWithRetry(payload, providerSettings, signal, budget));
+        } catch (error) {
+            if (isAbortError(error) || classifyFailure(error.cause) === 'fatal') throw error;
+            lastError = error;
+        }
+    }
+    if (variants.length === 0) throw lastError;
+    return variants;
+};
+
+// Refinements and area edits stack up as versions of a card; versions[0] is the result they started from.
+const addCardVersion = (card, imageUrl, request) => {
+    const versions = [...(card.versions || [{ imageUrl: card.imageUrl, request: null }]), { imageUrl, request }];
+    return { imageUrl, versions, versionIndex: versions.length - 1 };
+};
+
+// Turns whatever generateImageWithRetry threw into something a card can show.
+const describeGenerationError = (error) => {
+    const cause = error?.cause || error;
+    if (cause instanceof GenerationBlockedError) {
+        return {
+            title: "Blocked by the model",
+            detail: BLOCK_REASON_MESSAGES[cause.reason] || `Reason: ${cause.reason}`,
+            modelText: cause.modelText,
+        };
+    }
+    if (cause instanceof EmptyResponseError) {
+        return {
+            title: "No image returned",
+            detail: cause.message,
+            modelText: cause.modelText,
+        };
+    }
+    return {
+        title: "Generation failed",
+        detail: cause?.message || null,
+        modelText: null,
+    };
+};
+
+// --- Export ---
+
+const EXPORT_FORMATS = {
+    png: { label: "PNG", mimeType: 'image/png', extension: 'png', isLossy: false },
+    jpeg: { label: "JPEG", mimeType: 'image/jpeg', extension: 'jpg', isLossy: true },
+    webp: { label: "WebP", mimeType: 'image/webp', extension: 'webp', isLossy: true },
+};
+
+const EXPORT_SIZE_MODES = {
+    original: "Original",
+    'long-edge': "Long edge",
+    print: "Print size",
+};
+
+const PRINT_SIZES = [
+    { id: '4x6', label: "4 × 6 in (10 × 15 cm)", width: 4, height: 6 },
+    { id: '5x7', label: "5 × 7 in (13 × 18 cm)", width: 5, height: 7 },
+    { id: '8x10', label: "8 × 10 in (20 × 25 cm)", width: 8, height: 10 },
+    { id: 'a4', label: "A4 (21 × 29.7 cm)", width: 8.27, height: 11.69 },
+];
+
+const EXPORT_DPI_OPTIONS = [150, 300, 600];
+const MIN_EXPORT_EDGE = 256;
+const MAX_EXPORT_EDGE = 8192;
+
+// Print sizes fit the picture on the paper, turned whichever way matches the picture.
+const getExportSize = (width, height, settings) => {
+    let scale = 1;
+    if (settings.exportSize === 'long-edge') {
+        const longEdge = Math.max(MIN_EXPORT_EDGE, Number(settings.exportLongEdge) || DEFAULT_PROVIDER_SETTINGS.exportLongEdge);
+        scale = longEdge / Math.max(width, height);
+    } else if (settings.exportSize === 'print') {
+        const paper = PRINT_SIZES.find(size => size.id === settings.exportPrintSize) || PRINT_SIZES[0];
+        const isLandscape = width > height;
+        const paperWidth = isLandscape ? Math.max(paper.width, paper.height) : Math.min(paper.width, paper.height);
+        const paperHeight = isLandscape ? Math.min(paper.width, paper.height) : Math.max(paper.width, paper.height);
+        scale = Math.min(paperWidth * settings.exportDpi / width, paperHeight * settings.exportDpi / height);
+    }
+    scale = Math.min(scale, MAX_EXPORT_EDGE / Math.max(width, height));
+    return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+};
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+const bytesToDataUrl = (bytes, mimeType) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${mimeType};base64,${btoa(binary)}`;
+};
+
+// Records the print resolution in the file so print dialogs and photo labs use the intended size.
+// JPEG keeps it in the JFIF header and PNG in a pHYs chunk; other formats are returned unchanged.
+const setImageDpi = async (dataUrl, dpi) => {
+    const { mimeType, data } = parseDataUrl(dataUrl);
+    const bytes = new Uint8Array(await base64ToBlob(data, mimeType).arrayBuffer());
+    if (mimeType === 'image/jpeg') {
+        const hasJfifHeader = bytes[2] === 0xFF && bytes[3] === 0xE0 && String.fromCharCode(...bytes.subarray(6, 11)) === 'JFIF\0';
+        if (!hasJfifHeader) return dataUrl;
+        const view = new DataView(bytes.buffer);
+        view.setUint8(13, 1); // Density unit: dots per inch
+        view.setUint16(14, dpi);
+        view.setUint16(16, dpi);
+        return bytesToDataUrl(bytes, mimeType);
+    }
+    if (mimeType === 'image/png') {
+        const pixelsPerMeter = Math.round(dpi / 0.0254);
+        const chunk = new Uint8Array(21);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, 9);
+        chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+        view.setUint32(8, pixelsPerMeter);
+        view.setUint32(12, pixelsPerMeter);
+        view.setUint8(16, 1); // Unit: metre
+        view.setUint32(17, crc32(chunk.subarray(4, 17)));
+        const ihdrEnd = 8 + 25; // Signature, then the 13-byte IHDR chunk with its length, type and CRC
+        const output = new Uint8Array(bytes.length + chunk.length);
+        output.set(bytes.subarray(0, ihdrEnd));
+        output.set(chunk, ihdrEnd);
+        output.set(bytes.subarray(ihdrEnd), ihdrEnd + chunk.length);
+        return bytesToDataUrl(output, mimeType);
+    }
+    return dataUrl;
+};
+
+// Scales a finished canvas to the download size and encodes it in the chosen format.
+const exportCanvas = async (canvas, settings = DEFAULT_PROVIDER_SETTINGS) => {
+    const format = EXPORT_FORMATS[settings.exportFormat] || EXPORT_FORMATS.png;
+    const { width, height } = getExportSize(canvas.width, canvas.height, settings);
+    let output = canvas;
+    if (width !== canvas.width || height !== canvas.height) {
+        output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        const ctx = output.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(canvas, 0, 0, width, height);
+    }
+    const dataUrl = output.toDataURL(format.mimeType, format.isLossy ? settings.exportQuality : undefined);
+    return settings.exportSize === 'print' ? setImageDpi(dataUrl, settings.exportDpi) : dataUrl;
+};
+
+// Browsers that can't encode a format (WebP in Safari) hand back a PNG, so the extension comes from the file itself.
+const getExportExtension = (dataUrl) => {
+    const { mimeType } = parseDataUrl(dataUrl);
+    return (Object.values(EXPORT_FORMATS).find(format => format.mimeType === mimeType) || EXPORT_FORMATS.png).extension;
+};
+
+// --- Frame Styles ---
+
+const FRAME_STORAGE_KEY = 'pictureMe.frame';
+const DEFAULT_FRAME_FOOTER = "Made with Gemini\nEdit your images with Nano Banana at gemini.google";
+
+// Sizes are fractions of the picture's width. `textOffset` leaves room above the caption (the film
+// strip's lower sprocket row); `overlay` puts caption and footer on the picture instead of below it.
+const FRAME_STYLES = {
+    polaroid: { label: "Classic Polaroid", background: '#F9FAFB', text: '#111827', side: 0.05, top: 0.05, minBottom: 0.24, textOffset: 0 },
+    dark: { label: "Dark", background: '#111827', text: '#FFFFFF', side: 0.04, top: 0.04, minBottom: 0.18, textOffset: 0 },
+    borderless: { label: "Borderless", background: '#000000', text: '#FFFFFF', side: 0, top: 0, minBottom: 0, textOffset: 0, overlay: true },
+    film: { label: "Film Strip", background: '#0B0B0B', text: '#F59E0B', side: 0.03, top: 0.1, minBottom: 0.1, textOffset: 0.1, sprockets: '#E5E7EB' },
+    custom: { label: "Custom Colors", side: 0.04, top: 0.04, minBottom: 0.18, textOffset: 0 },
+};
+
+const FRAME_PREVIEW_SIZE = 320;
+
+const CAPTION_FONTS = {
+    caveat: { label: "Handwritten", family: 'Caveat, cursive', weight: 700, scale: 1 },
+    inter: { label: "Sans", family: 'Inter, sans-serif', weight: 600, scale: 0.7 },
+    serif: { label: "Serif", family: 'Georgia, "Times New Roman", serif', weight: 400, scale: 0.75 },
+    mono: { label: "Typewriter", family: '"Courier New", monospace', weight: 700, scale: 0.65 },
+};
+
+const DEFAULT_FRAME_OPTIONS = {
+    style: 'dark',
+    captionFont: 'caveat',
+    footerText: DEFAULT_FRAME_FOOTER,
+    showFooter: true,
+    background: '#1F2937',
+    textColor: '#FACC15',
+};
+
+const loadFrameOptions = () => {
+    try {
+        return { ...DEFAULT_FRAME_OPTIONS, ...JSON.parse(localStorage.getItem(FRAME_STORAGE_KEY) || '{}') };
+    } catch (err) {
+        console.warn("Could not read frame options:", err);
+        return { ...DEFAULT_FRAME_OPTIONS };
+    }
+};
+
+const saveFrameOptions = (frame) => {
+    localStorage.setItem(FRAME_STORAGE_KEY, JSON.stringify(frame));
+};
+
+const getCaptionFont = (frame, size) => {
+    const font = CAPTION_FONTS[frame.captionFont] || CAPTION_FONTS.caveat;
+    return `${font.weight} ${Math.round(size * font.scale)}px ${font.family}`;
+};
+
+// Canvas text silently falls back to a system font while a web font is still loading.
+const loadFrameFonts = async (frame) => {
+    if (!document.fonts) return;
+    try {
+        await Promise.all([document.fonts.load(getCaptionFont(frame, 48)), document.fonts.load('600 24px Inter')]);
+    } catch (err) {
+        console.warn("Frame fonts did not load:", err);
+    }
+};
+
+const drawFilmSprockets = (ctx, centerY, width, unit) => {
+    const holeWidth = unit * 0.035;
+    const holeHeight = unit * 0.05;
+    const spacing = unit * 0.07;
+    const count = Math.floor(width / spacing);
+    const startX = (width - (count - 1) * spacing) / 2;
+    for (let i = 0; i < count; i++) {
+        ctx.fillRect(startX + i * spacing - holeWidth / 2, centerY - holeHeight / 2, holeWidth, holeHeight);
+    }
+};
+
+// Draws a cropped picture (image or canvas) into its frame. Shared by downloads and the live preview.
+const drawFramedImage = (img, caption = null, frame = DEFAULT_FRAME_OPTIONS) => {
+    const style = FRAME_STYLES[frame.style] || FRAME_STYLES.dark;
+    const background = frame.style === 'custom' ? frame.background : style.background;
+    const textColor = frame.style === 'custom' ? frame.textColor : style.text;
+    const unit = img.width;
+
+    const footerLines = frame.showFooter ? (frame.footerText || '').split('\n').map(line => line.trim()).filter(Boolean) : [];
+    const captionHeight = caption ? unit * 0.12 : 0;
+    const footerHeight = footerLines.length > 0 ? unit * (0.02 + footerLines.length * 0.06) : 0;
+    const textHeight = captionHeight + footerHeight;
+    const textSpace = textHeight > 0 ? textHeight + unit * 0.04 : 0;
+
+    const sidePadding = unit * style.side;
+    const topPadding = unit * style.top;
+    const bottomPadding = style.overlay ? 0 : Math.max(unit * style.minBottom, unit * style.textOffset + textSpace);
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    canvas.width = img.width + sidePadding * 2;
+    canvas.height = img.height + topPadding + bottomPadding;
+
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, sidePadding, topPadding, img.width, img.height);
+
+    if (style.sprockets) {
+        ctx.fillStyle = style.sprockets;
+        drawFilmSprockets(ctx, topPadding / 2, canvas.width, unit);
+        drawFilmSprockets(ctx, topPadding + img.height + (unit * style.textOffset) / 2, canvas.width, unit);
+    }
+
+    let textTop;
+    if (style.overlay) {
+        if (textHeight === 0) return canvas;
+        const shadeHeight = textSpace + unit * 0.08;
+        const shade = ctx.createLinearGradient(0, canvas.height - shadeHeight, 0, canvas.height);
+        shade.addColorStop(0, 'rgba(0, 0, 0, 0)');
+        shade.addColorStop(1, 'rgba(0, 0, 0, 0.75)');
+        ctx.fillStyle = shade;
+        ctx.fillRect(0, canvas.height - shadeHeight, canvas.width, shadeHeight);
+        textTop = canvas.height - textSpace + unit * 0.01;
+    } else {
+        const bandTop = topPadding + img.height + unit * style.textOffset;
+        textTop = bandTop + (canvas.height - bandTop - textHeight) / 2;
+    }
+
+    ctx.fillStyle = textColor;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    if (caption) {
+        ctx.globalAlpha = 0.9;
+        ctx.font = getCaptionFont(frame, Math.max(24, unit * 0.08));
+        ctx.fillText(caption, canvas.width / 2, textTop + captionHeight / 2, canvas.width - unit * 0.08);
+    }
+
+    let lineY = textTop + captionHeight + unit * 0.05;
+    footerLines.forEach((line, index) => {
+        // The first footer line reads as a title, the rest as small print.
+        const fontSize = index === 0 ? Math.max(12, Math.floor(unit * 0.05)) : Math.max(8, Math.floor(unit * 0.035));
+        ctx.globalAlpha = index === 0 ? 0.45 : 0.4;
+        ctx.font = `600 ${fontSize}px Inter, sans-serif`;
+        ctx.fillText(line, canvas.width / 2, lineY, canvas.width - unit * 0.08);
+        lineY += unit * 0.06;
+    });
+    ctx.globalAlpha = 1;
+    return canvas;
+};
+
+const createSingleFramedImage = async (imageUrl, cropRatio, { caption = null, cropFit = 'cover', frame = DEFAULT_FRAME_OPTIONS, exportSettings = DEFAULT_PROVIDER_SETTINGS } = {}) => {
+    const [img] = await Promise.all([loadImage(await cropImage(imageUrl, cropRatio, cropFit)), loadFrameFonts(frame)]);
+    return exportCanvas(drawFramedImage(img, caption, frame), exportSettings);
+};
+
+// --- Lightbox ---
+
+const LIGHTBOX_SWIPE_DISTANCE = 60;
+
+// --- Area Edits ---
+
+const MIN_MASK_BRUSH = 8;
+const MAX_MASK_BRUSH = 120;
+const DEFAULT_MASK_BRUSH = 40;
+const MASK_COLOR = '#FACC15';
+
+const isMaskEmpty = (canvas) => {
+    const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] > 0) return false;
+    }
+    return true;
+};
+
+// The editor keeps the mask as paint on a transparent layer; image models expect white on black.
+const toModelMask = async (maskUrl) => {
+    const mask = await loadImage(maskUrl);
+    const canvas = document.createElement('canvas');
+    canvas.width = mask.naturalWidth;
+    canvas.height = mask.naturalHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(mask, 0, 0);
+    ctx.globalCompositeOperation = 'source-in';
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/png');
+};
+
+// Only painted pixels take the model's output (blended by the brush's soft edge); where the mask is
+// empty the original is copied through untouched, even if the model redrew the whole picture.
+const compositeMaskedEdit = async (originalUrl, editedUrl, maskUrl) => {
+    const [original, edited, mask] = await Promise.all([originalUrl, editedUrl, maskUrl].map(loadImage));
+    const width = original.naturalWidth;
+    const height = original.naturalHeight;
+
+    const patch = document.createElement('canvas');
+    patch.width = width;
+    patch.height = height;
+    const patchCtx = patch.getContext('2d');
+    patchCtx.drawImage(edited, 0, 0, width, height);
+    patchCtx.globalCompositeOperation = 'destination-in';
+    patchCtx.drawImage(mask, 0, 0, width, height);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(original, 0, 0);
+    ctx.drawImage(patch, 0, 0);
+    return canvas.toDataURL('image/png');
+};
+
+// --- Camera ---
+
+const CAMERA_PREFS_STORAGE_KEY = 'pictureMe.camera';
+
+const CAMERA_RESOLUTIONS = [
+    { id: 'square', label: "Square 1024", width: 1024, height: 1024 },
+    { id: 'hd', label: "HD 720p", width: 1280, height: 720 },
+    { id: 'full-hd', label: "Full HD 1080p", width: 1920, height: 1080 },
+    { id: '4k', label: "4K", width: 3840, height: 2160 },
+];
+
+const CAMERA_TIMERS = [0, 3, 5, 10];
+
+const BURST_FRAME_COUNT = 6;
+const BURST_INTERVAL_MS = 150;
+const FRAME_SCORE_SIZE = 256;
+
+const DEFAULT_CAMERA_PREFS = {
+    deviceId: '',
+    facingMode: 'user',
+    resolution: 'square',
+    timer: 0,
+    mirrorCapture: true,
+    burst: false,
+};
+
+const loadCameraPrefs = () => {
+    try {
+        return { ...DEFAULT_CAMERA_PREFS, ...JSON.parse(localStorage.getItem(CAMERA_PREFS_STORAGE_KEY) || '{}') };
+    } catch (err) {
+        console.warn("Could not read camera preferences:", err);
+        return { ...DEFAULT_CAMERA_PREFS };
+    }
+};
+
+const saveCameraPrefs = (prefs) => {
+    localStorage.setItem(CAMERA_PREFS_STORAGE_KEY, JSON.stringify(prefs));
+};
+
+// A picked device wins over the front/back choice; resolutions are "ideal" so cameras that can't match still open.
+const getCameraConstraints = ({ deviceId, facingMode, resolution }) => {
+    const preset = CAMERA_RESOLUTIONS.find(r => r.id === resolution) || CAMERA_RESOLUTIONS[0];
+    return {
+        width: { ideal: preset.width },
+        height: { ideal: preset.height },
+        ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode }),
+    };
+};
+
+// Sharpness is the variance of the Laplacian on a small grayscale copy, so blurred or shaky frames score low.
+// Frames far from a mid-grey average are penalised so a sharp but badly exposed frame doesn't win.
+const scoreFrame = (source) => {
+    const scale = Math.min(1, FRAME_SCORE_SIZE / Math.max(source.width, source.height));
+    const width = Math.max(3, Math.round(source.width * scale));
+    const height = Math.max(3, Math.round(source.height * scale));
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(source, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+
+    const gray = new Float32Array(width * height);
+    let brightnessSum = 0;
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        brightnessSum += gray[i];
+    }
+
+    let sum = 0;
+    let sumOfSquares = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const laplacian = gray[i - 1] + gray[i + 1] + gray[i - width] + gray[i + width] - 4 * gray[i];
+            sum += laplacian;
+            sumOfSquares += laplacian * laplacian;
+        }
+    }
+    const count = (width - 2) * (height - 2);
+    const sharpness = sumOfSquares / count - (sum / count) ** 2;
+    const brightness = brightnessSum / gray.length / 255;
+    const exposure = 1 - Math.min(1, Math.abs(brightness - 0.5) * 2);
+    return { sharpness, brightness, score: sharpness * (0.5 + 0.5 * exposure) };
+};
+
+// --- Session History (IndexedDB) ---
+
+const HISTORY_DB_NAME = 'pictureMe';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'sessions';
+
+const openHistoryDb = () => new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+        reject(new Error("This browser doesn't support IndexedDB."));
+        return;
+    }
+    const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+            db.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+        }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const withHistoryStore = async (mode, action) => {
+    const db = await openHistoryDb();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(HISTORY_STORE, mode);
+            const request = action(transaction.objectStore(HISTORY_STORE));
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+};
+
+const saveHistorySession = (session) => withHistoryStore('readwrite', store => store.put(session));
+
+const listHistorySessions = async () => {
+    const sessions = await withHistoryStore('readonly', store => store.getAll());
+    return (sessions || []).sort((a, b) => b.createdAt - a.createdAt);
+};
+
+const deleteHistorySession = (id) => withHistoryStore('readwrite', store => store.delete(id));
+
+const createSessionId = () => (window.crypto?.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+
+// --- Template Registry ---
+// Themes are plain JSON documents. The built-in ones live here so the app also works where it can't
+// fetch files (e.g. inside Gemini Canvas); a templates.json next to index.html can add or replace themes by id.
+//
+// Instruction templates may use {{prompt.id}}, {{prompt.base}}, {{prompt.details}}, {{options.<optionId>}}
+// and {{albumStyle}} (themes with an "albumStyle" section get a generated photoshoot style first).
+
+const CUSTOM_CHOICE = 'Other';
+const TEMPLATE_REGISTRY_URL = 'templates.json';
+const DEFAULT_INSTRUCTION = "Create an image based on the reference photo and this prompt: {{prompt.base}}";
+const DEFAULT_ALBUM_TITLE = "My PictureMe Album";
+
+const BUILT_IN_TEMPLATES = [
+    {
+        id: "decades",
+        name: "Time Traveler",
+        description: "See yourself through the decades.",
+        icon: "⏳",
+        layout: "polaroid",
+        showLabels: true,
+        albumTitle: "Picture Me Through the Decades",
+        instruction: "The highest priority is to maintain the exact facial features, likeness, perceived gender, framing, and composition of the person in the provided reference photo. Keeping the original photo's composition, change the person's hair, clothing, and accessories, as well as the photo's background, to match the style of the {{prompt.id}}. Do not alter the person's core facial structure.",
+        prompts: [
+            { id: "1950s", base: "A 1950s style portrait." },
+            { id: "1960s", base: "A 1960s style portrait." },
+            { id: "1970s", base: "A 1970s style portrait." },
+            { id: "1980s", base: "An 1980s style portrait." },
+            { id: "1990s", base: "A 1990s style portrait." },
+            { id: "2000s", base: "A 2000s style portrait." },
+        ],
+    },
+    {
+        id: "styleLookbook",
+        name: "Style Lookbook",
+        description: "Your personal fashion photoshoot.",
+        icon: "👗",
+        layout: "card",
+        showLabels: false,
+        albumTitle: "Picture Me in my Style Lookbook",
+        optionsTitle: "Choose a Fashion Style",
+        options: [
+            {
+                id: "style",
+                type: "choice",
+                required: true,
+                requiredMessage: "Please choose or enter a fashion style for your lookbook!",
+                allowCustom: true,
+                customLabel: "Your Custom Style",
+                customPlaceholder: "e.g., Cyberpunk, Avant-garde",
+                choices: [
+                    "Classic / Casual", "Streetwear", "Vintage", "Goth", "Preppy", "Minimalist",
+                    "Athleisure", "Old Money / Quiet Luxury", "Bohemian (Boho)", "Business Casual",
+                    "90s Grunge", "Cocktail / Formal",
+                ],
+            },
+        ],
+        instruction: "The highest priority is to maintain the exact facial features, likeness, and perceived gender of the person in the provided reference photo. Transform the image into a high-fashion lookbook photo. The overall fashion style for the entire lookbook is \"{{options.style}}\". For this specific photo, create a unique, stylish outfit that fits the overall style, and place the person in {{prompt.base}} in a suitable, fashionable setting. The person's hair and makeup should also complement the style. Each photo in the lookbook should feature a different outfit. Do not alter the person's core facial structure.",
+        prompts: [
+            { id: "Look 1", base: "a full-body shot, standing" },
+            { id: "Look 2", base: "a half-body shot, smiling" },
+            { id: "Look 3", base: "a candid walking shot" },
+            { id: "Look 4", base: "a shot showing off outfit details" },
+            { id: "Look 5", base: "a seated pose" },
+            { id: "Look 6", base: "a close-up shot focusing on accessories" },
+        ],
+    },
+    {
+        id: "eightiesMall",
+        name: "'80s Mall Shoot",
+        description: "Totally tubular 1980s portraits.",
+        icon: "📼",
+        layout: "card",
+        showLabels: false,
+        albumTitle: "Picture Me at the '80s Mall",
+        albumStyle: {
+            brief: "A specific, creative, and detailed style for an 80s mall portrait studio photoshoot.",
+            loadingTitle: "Teasing our hair and firing up the lasers...",
+            loadingSubtitle: "Generating a totally tubular '80s photoshoot style!",
+        },
+        instruction: "The highest priority is to maintain the exact facial features, likeness, and perceived gender of the person in the provided reference photo. Transform the image into a photo from a single 1980s mall photoshoot. The overall style for the entire photoshoot is: {{albumStyle}} For this specific photo, the person should be in {{prompt.base}}. The person's hair and clothing should be 80s style and be consistent across all photos in this set. The background and lighting must also match the overall style for every photo.",
+        prompts: [
+            { id: "Smiling", base: "a friendly, smiling pose" },
+            { id: "Thoughtful", base: "a thoughtful, looking away from the camera pose" },
+            { id: "Fun", base: "a fun, laughing pose" },
+            { id: "Serious", base: "a serious, dramatic pose" },
+            { id: "Hand on Chin", base: "posing with their hand on their chin" },
+            { id: "Over the Shoulder", base: "looking back over their shoulder" },
+        ],
+    },
+    {
+        id: "figurines",
+        name: "Miniature Me",
+        description: "Your own collectible figurines.",
+        icon: "🧍‍♂️",
+        layout: "card",
+        showLabels: false,
+        albumTitle: "My Miniature Me Collection",
+        instruction: "The highest priority is to maintain the exact facial features and likeness of the person in the provided reference photo. Transform the person into a miniature figurine based on the following description, placing it in a realistic environment: {{prompt.base}}. The final image should look like a real photograph of a physical object. Do not alter the person's core facial structure.",
+        prompts: [
+            { id: "Bobblehead", base: "A realistic bobblehead figure of the person with an oversized head, displayed on a polished wooden desk next to a computer keyboard." },
+            { id: "Porcelain Figurine", base: "A delicate souvenir porcelain figurine of the person, painted with glossy colors, sitting on a lace doily on a vintage dresser." },
+            { id: "Retro Action Figure", base: "A retro 1980s-style action figure of the person, complete with articulated joints and slightly worn paint, posed in a dynamic stance on a rocky diorama base." },
+            { id: "Vinyl Figure", base: "A stylized collectible vinyl art toy of the person with minimalist features, standing on a shelf filled with other similar toys." },
+            { id: "Plushy Figure", base: "A soft, cute plushy figure of the person with detailed fabric texture and stitching, sitting on a neatly made bed." },
+            { id: "Wooden Folk Art", base: "A hand-carved wooden folk art figure of the person, painted with rustic, charming details, standing on a simple wooden block on a craft fair table." },
+        ],
+    },
+    {
+        id: "hairStyler",
+        name: "Hair Styler",
+        description: "Try on new hairstyles and colors.",
+        icon: "💇‍♀️",
+        layout: "card",
+        showLabels: true,
+        albumTitle: "Picture Me with New Hairstyles",
+        optionsTitle: "Customize Hairstyle",
+        promptSelection: {
+            label: "Style",
+            max: 6,
+            requiredMessage: "Please select at least one hairstyle to generate!",
+            allowCustom: true,
+            customLabel: "Your Custom Style",
+            customPlaceholder: "e.g., A vibrant pink mohawk",
+            customRequiredMessage: "Please enter your custom hairstyle or deselect 'Other...'",
+        },
+        options: [
+            {
+                id: "hairColors",
+                type: "colors",
+                label: "Hair Color",
+                max: 2,
+                defaultColor: "#4a2c20",
+                addLabels: ["Add Color", "Add Highlight"],
+                instructions: ["", " The hair color should be {{0}}.", " The hair should be a mix of two colors: {{0}} and {{1}}."],
+            },
+        ],
+        instruction: "The highest priority is to maintain the exact facial features, likeness, and perceived gender of the person in the provided reference photo. Keeping the original photo's composition, style the person's hair to be a perfect example of {{prompt.base}}. If the person's hair already has this style, enhance and perfect it. Do not alter the person's core facial structure, clothing, or the background.{{prompt.details}}{{options.hairColors}}",
+        prompts: [
+            { id: "Short", base: "a short hairstyle", details: " Maintain the person's original hair texture (e.g., straight, wavy, curly)." },
+            { id: "Medium", base: "a medium-length hairstyle", details: " Maintain the person's original hair texture (e.g., straight, wavy, curly)." },
+            { id: "Long", base: "a long hairstyle", details: " Maintain the person's original hair texture (e.g., straight, wavy, curly)." },
+            { id: "Straight", base: "straight hair" },
+            { id: "Wavy", base: "wavy hair" },
+            { id: "Curly", base: "curly hair" },
+        ],
+    },
+    {
+        id: "impossibleSelfies",
+        name: "Impossible Pics",
+        description: "Photos that defy reality.",
+        icon: "🚀",
+        layout: "card",
+        showLabels: true,
+        albumTitle: "Picture Me in Impossible Selfies",
+        instruction: "The highest priority is to maintain the exact facial features, likeness, and perceived gender of the person in the provided reference photo. Keeping the original photo's composition as much as possible, place the person into the following scene, changing their clothing, hair, and the background to match: {{prompt.base}}. Do not alter the person's core facial structure.",
+        prompts: [
+            { id: "With Lincoln", base: "The person posing with Abraham Lincoln, who is also making a peace sign and sticking his tongue out. Keep the original location." },
+            { id: "Alien & Bubbles", base: "The person posing next to a realistic alien holding two bubble guns, blowing thousands of bubbles. Keep the person's pose and the original location." },
+            { id: "Room of Puppies", base: "The person posing in a room filled with a hundred different puppies." },
+            { id: "Singing Puppets", base: "The person posing in a room full of large, whimsical, brightly colored felt puppets that are singing." },
+            { id: "Giant Chicken Tender", base: "The person posing with their arm around a 4-foot-tall chicken tender. Keep the person's facial expression exactly the same." },
+            { id: "Yeti Photobomb", base: "Add a realistic yeti standing next to the person on the left side of the photo, matching the lighting. Keep the person's pose and face exactly the same." },
+        ],
+    },
+    {
+        id: "headshots",
+        name: "Pro Headshots",
+        description: "Professional profile pictures.",
+        icon: "💼",
+        layout: "card",
+        showLabels: false,
+        albumTitle: "Picture Me: Professional Headshots",
+        optionsTitle: "Customize Headshot",
+        options: [
+            {
+                id: "expression",
+                type: "choice",
+                label: "Facial Expression",
+                default: "Friendly Smile",
+                choices: ["Friendly Smile", "Confident Look", "Thoughtful Gaze"],
+            },
+            {
+                id: "pose",
+                type: "choice",
+                label: "Pose",
+                default: "Forward",
+                choices: [
+                    { value: "Forward", label: "Facing Forward", instruction: "facing forward towards the camera" },
+                    { value: "Angle", label: "Slight Angle", instruction: "posed at a slight angle to the camera" },
+                ],
+            },
+        ],
+        instruction: "The highest priority is to maintain the exact facial features, likeness, and perceived gender of the person in the provided reference photo. Transform the image into a professional headshot. The person should be {{options.pose}} with a \"{{options.expression}}\" expression. They should be {{prompt.base}}. Please maintain the original hairstyle from the photo. The background should be a clean, neutral, out-of-focus studio background (like light gray, beige, or white). Do not alter the person's core facial structure. The final image should be a well-lit, high-quality professional portrait.",
+        prompts: [
+            { id: "Business Suit", base: "wearing a dark business suit with a crisp white shirt" },
+            { id: "Smart Casual", base: "wearing a smart-casual knit sweater over a collared shirt" },
+            { id: "Creative Pro", base: "wearing a dark turtleneck" },
+            { id: "Corporate Look", base: "wearing a light blue button-down shirt" },
+            { id: "Bright & Modern", base: "wearing a colorful blazer" },
+            { id: "Relaxed", base: "wearing a simple, high-quality t-shirt under a casual jacket" },
+        ],
+    },
+];
+
+const normalizeChoice = (choice) => (typeof choice === 'string' ? { value: choice, label: choice } : { label: choice.value, ...choice });
+
+const normalizeTemplateOptions = (options = []) => options.map(option => (option.type === 'colors' ? option : { ...option, choices: (option.choices || []).map(normalizeChoice) }));
+
+// Checks a template document and fills in defaults. Throws on documents the app can't use.
+const normalizeTemplate = (doc) => {
+    if (!doc || typeof doc.id !== 'string' || !doc.id.trim()) throw new Error("Template needs an \"id\".");
+    if (typeof doc.name !== 'string' || !doc.name.trim()) throw new Error(`Template "${doc.id}" needs a "name".`);
+    if (!Array.isArray(doc.prompts) || doc.prompts.length === 0) throw new Error(`Template "${doc.id}" needs at least one prompt.`);
+    doc.prompts.forEach(p => {
+        if (typeof p?.id !== 'string' || typeof p?.base !== 'string') throw new Error(`Every prompt in "${doc.id}" needs an "id" and a "base".`);
+    });
+    // Cards and instruction overrides are keyed by prompt id.
+    const duplicateId = doc.prompts.map(p => p.id).find((id, i, ids) => ids.indexOf(id) !== i);
+    if (duplicateId !== undefined) throw new Error(`Template "${doc.id}" has more than one prompt with the id "${duplicateId}".`);
+    const layout = doc.layout === 'polaroid' ? 'polaroid' : 'card';
+    return {
+        description: '',
+        icon: '🖼️',
+        showLabels: true,
+        albumTitle: DEFAULT_ALBUM_TITLE,
+        instruction: DEFAULT_INSTRUCTION,
+        ...doc,
+        layout,
+        isPolaroid: layout === 'polaroid',
+        options: normalizeTemplateOptions(doc.options),
+    };
+};
+
+// Later documents replace earlier ones with the same id; broken documents are skipped.
+const buildTemplateRegistry = (docs) => docs.reduce((registry, doc) => {
+    try {
+        const template = normalizeTemplate(doc);
+        registry[template.id] = template;
+    } catch (err) {
+        console.warn("Skipping template:", err.message);
+    }
+    return registry;
+}, {});
+
+const loadTemplateDocuments = async (url = TEMPLATE_REGISTRY_URL) => {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) return [];
+    const docs = await response.json();
+    return Array.isArray(docs) ? docs : [docs];
+};
+
+const getDefaultTemplateOptions = (template) => (template?.options || []).reduce((values, option) => {
+    values[option.id] = option.type === 'colors' ? [] : (option.default ?? '');
+    return values;
+}, {});
+
+const renderInstructionTemplate = (text, context) => text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+    const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), context);
+    return value == null ? '' : String(value);
+});
+
+// Turns the raw option values into the text that goes into the instruction.
+const resolveTemplateOptions = (template, values) => (template?.options || []).reduce((resolved, option) => {
+    const value = values[option.id] ?? option.default;
+    if (option.type === 'colors') {
+        const colors = Array.isArray(value) ? value : [];
+        resolved[option.id] = renderInstructionTemplate(option.instructions?.[colors.length] || '', colors);
+    } else if (option.allowCustom && value === CUSTOM_CHOICE) {
+        resolved[option.id] = (values[`${option.id}Custom`] || '').trim();
+    } else {
+        const choice = option.choices.find(c => c.value === value);
+        resolved[option.id] = choice?.instruction ?? value ?? '';
+    }
+    return resolved;
+}, {});
+
+// Returns a user-facing message when the current choices can't be generated yet, otherwise null.
+const validateTemplateSelection = (template, values, selection) => {
+    for (const option of template.options) {
+        if (option.type !== 'choice' || !option.required) continue;
+        const value = values[option.id];
+        if (!value || (value === CUSTOM_CHOICE && !(values[`${option.id}Custom`] || '').trim())) {
+            return option.requiredMessage || `Please choose a ${(option.label || 'style').toLowerCase()}!`;
+        }
+    }
+    const { promptSelection } = template;
+    if (promptSelection) {
+        const { selectedPromptIds, customPrompt, isCustomPromptActive } = selection;
+        const hasCustomPrompt = isCustomPromptActive && customPrompt.trim() !== '';
+        if (selectedPromptIds.length === 0 && !hasCustomPrompt) {
+            return promptSelection.requiredMessage || "Please select at least one option to generate!";
+        }
+        if (isCustomPromptActive && !hasCustomPrompt) {
+            return promptSelection.customRequiredMessage || "Please fill in your custom option or deselect 'Other...'";
+        }
+    }
+    return null;
+};
+
+const getPromptsForGeneration = (template, selection) => {
+    if (!template.promptSelection) return template.prompts;
+    const selectedPrompts = template.prompts.filter(p => selection.selectedPromptIds.includes(p.id));
+    if (selection.isCustomPromptActive && selection.customPrompt.trim() !== '') {
+        selectedPrompts.push({ id: selection.customPrompt, base: selection.customPrompt });
+    }
+    return selectedPrompts;
+};
+
+// The album style is only generated when an album starts, so drafts keep it as a literal {{albumStyle}}
+// that finalizeInstruction fills in. This lets people edit instructions before the style exists.
+const ALBUM_STYLE_TOKEN = '{{albumStyle}}';
+
+const MAX_REFERENCE_PHOTOS = 4;
+
+// Template instructions are written about "the person". For couples and groups that wording is
+// rewritten and a directive is added, and album downloads letterbox instead of trimming the edges.
+const SUBJECT_MODES = {
+    single: { label: "Just Me", cropFit: 'cover', subject: "the person", possessive: "the person's", sameSubject: "the same person", directive: "" },
+    couple: {
+        label: "Couple",
+        cropFit: 'contain',
+        subject: "each of the two people",
+        possessive: "each person's",
+        sameSubject: "the same two people",
+        directive: "The reference photo shows two people. Both must appear in the result, each keeping their exact likeness and their position relative to the other. Never merge, swap or drop a face. ",
+    },
+    group: {
+        label: "Group",
+        cropFit: 'contain',
+        subject: "every person",
+        possessive: "each person's",
+        sameSubject: "the same group of people",
+        directive: "The reference photo shows a group of people. Every person in the photo keeps their exact likeness and relative positions. Never merge, duplicate or drop anyone, and keep everyone fully in frame. ",
+    },
+};
+
+const getSubjectMode = (mode) => SUBJECT_MODES[mode] || SUBJECT_MODES.single;
+
+const adaptInstructionToSubjects = (text, mode) => {
+    const subject = getSubjectMode(mode);
+    if (subject === SUBJECT_MODES.single) return text;
+    return text.replace(/\b([Tt])he person('s)?\b/g, (_, t, possessive) => {
+        const phrase = possessive ? subject.possessive : subject.subject;
+        return t === 'T' ? phrase.charAt(0).toUpperCase() + phrase.slice(1) : phrase;
+    });
+};
+
+// With several reference photos the model has to be told they are the same subject, or it may blend or pick faces.
+const describeReferencePhotos = (count, mode) => (count > 1
+    ? `The ${count} reference photos provided all show ${getSubjectMode(mode).sameSubject} from different angles. Use all of them together to capture exact likeness, and treat the first photo as the main reference for composition. `
+    : '');
+
+const getInstructionDraft = (template, prompt, { options = {}, referenceCount = 1, subjectMode = 'single' } = {}) => {
+    const text = renderInstructionTemplate(template?.instruction || DEFAULT_INSTRUCTION, {
+        prompt,
+        options: resolveTemplateOptions(template, options),
+        albumStyle: ALBUM_STYLE_TOKEN,
+    });
+    return describeReferencePhotos(referenceCount, subjectMode) + getSubjectMode(subjectMode).directive + adaptInstructionToSubjects(text, subjectMode);
+};
+
+const finalizeInstruction = (draft, albumStyle = null) => draft.split(ALBUM_STYLE_TOKEN).join(albumStyle ? describeAlbumStyle(albumStyle) : '');
+
+const getModelInstruction = (template, prompt, { albumStyle = null, ...context } = {}) => finalizeInstruction(getInstructionDraft(template, prompt, context), albumStyle);
+
+// --- Custom Templates ---
+// Themes made in the editor are stored in localStorage and can be shared as .json files
+// in the same document format as templates.json.
+
+const CUSTOM_TEMPLATES_STORAGE_KEY = 'pictureMe.customTemplates';
+const MAX_CUSTOM_PROMPTS = 6;
+const INSTRUCTION_PLACEHOLDERS = ['{{prompt.base}}', '{{prompt.id}}'];
+
+const EMPTY_CUSTOM_TEMPLATE = {
+    id: '',
+    name: '',
+    description: '',
+    icon: '✨',
+    layout: 'card',
+    showLabels: true,
+    instruction: "The highest priority is to maintain the exact facial features, likeness, and perceived gender of the person in the provided reference photo. {{prompt.base}} Do not alter the person's core facial structure.",
+    prompts: [{ id: '', base: '' }],
+};
+
+const loadCustomTemplates = () => {
+    try {
+        const docs = JSON.parse(localStorage.getItem(CUSTOM_TEMPLATES_STORAGE_KEY) || '[]');
+        return Array.isArray(docs) ? docs : [];
+    } catch (err) {
+        console.warn("Could not read custom templates:", err);
+        return [];
+    }
+};
+
+const saveCustomTemplates = (docs) => {
+    localStorage.setItem(CUSTOM_TEMPLATES_STORAGE_KEY, JSON.stringify(docs));
+};
+
+const createCustomTemplateId = (name) => {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 24);
+    return `custom-${slug || 'theme'}-${Date.now().toString(36)}`;
+};
+
+// Accepts a single document, an array of them, or { templates: [...] }. Throws if any document is unusable.
+const parseTemplateFile = (text) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (err) {
+        throw new Error("That file isn't valid JSON.");
+    }
+    const docs = Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.templates) ? parsed.templates : [parsed]);
+    if (docs.length === 0) throw new Error("That file doesn't contain any themes.");
+    docs.forEach(normalizeTemplate);
+    return docs;
+};
+
+const mergeTemplateDocuments = (existing, incoming) => {
+    const incomingIds = new Set(incoming.map(doc => doc.id));
+    return [...existing.filter(doc => !incomingIds.has(doc.id)), ...incoming];
+};
+
+// --- Icons (Using SVG/Heroicons style) ---
+
+const IconUpload = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-10 h-10"><path strokeLinecap="round" strokeLinejoin="round" d="M3 16.5v2.25A2.25 2.25 0 0 0 5.25 21h13.5A2.25 2.25 0 0 0 21 18.75V16.5m-13.5-9L12 3m0 0 4.5 4.5M12 3v13.5" /></svg>;
+const IconSparkles = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-6 h-6"><path strokeLinecap="round" strokeLinejoin="round" d="M9.813 15.904 9 18.75l-.813-2.846a4.5 4.5 0 0 0-3.09-3.09L2.25 12l2.846-.813a4.5 4.5 0 0 0 3.09-3.09L9 5.25l.813 2.846a4.5 4.5 0 0 0 3.09 3.09L15.75 12l-2.846.813a4.5 4.5 0 0 0-3.09 3.09ZM18.259 8.715 18 9.75l-.259-1.035a3.375 3.375 0 0 0-2.455-2.456L14.25 6l1.036-.259a3.375 3.375 0 0 0 2.455-2.456L18 2.25l.259 1.035a3.375 3.375 0 0 0 2.456 2.456L21.75 6l-1.035.259a3.375 3.375 0 0 0-2.456 2.456ZM16.894 20.567 16.5 21.75l-.394-1.183a2.25 2.25 0 0 0-1.423-1.423L13.5 18.75l1.183-.394a2.25 2.25 0 0 0 1.423-1.423l.394-1.183.394 1.183a2.25 2.25 0 0 0 1.423 1.423l1.183.394-1.183.394a2.25 2.25 0 0 0-1.423 1.423Z" /></svg>;
+const IconOptions = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-6 h-6"><path strokeLinecap="round" strokeLinejoin="round" d="M12 6.75a.75.75 0 1 1 0-1.5.75.75 0 0 1 0 1.5ZM12 12.75a.75.75 0 1 1 0-1.5.75.75 0 0 1 0 1.5ZM12 18.75a.75.75 0 1 1 0-1.5.75.75 0 0 1 0 1.5Z" /></svg>;
+const IconSearch = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5"><path strokeLinecap="round" strokeLinejoin="round" d="m21 21-5.197-5.197m0 0A7.5 7.5 0 1 0 5.196 5.196a7.5 7.5 0 0 0 10.607 10.607Z" /></svg>;
+const IconDownload = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5"><path strokeLinecap="round" strokeLinejoin="round" d="M3 16.5v2.25A2.25 2.25 0 0 0 5.25 21h13.5A2.25 2.25 0 0 0 21 18.75V16.5M16.5 12 12 16.5m0 0L7.5 12m4.5 4.5V3" /></svg>;
+const IconCamera = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-6 h-6"><path strokeLinecap="round" strokeLinejoin="round" d="M6.827 6.175A2.31 2.31 0 0 1 5.186 7.23c-.38.054-.757.112-1.134.175C2.999 7.58 2.25 8.507 2.25 9.574V18a2.25 2.25 0 0 0 2.25 2.25h15A2.25 2.25 0 0 0 21.75 18V9.574c0-1.067-.75-1.994-1.802-2.169a47.865 47.865 0 0 0-1.134-.175 2.31 2.31 0 0 1-1.64-1.055l-.822-1.316a2.192 2.192 0 0 0-1.736-1.039 48.776 48.776 0 0 0-5.232 0 2.192 2.192 0 0 0-1.736 1.039l-.821 1.316Z" /><path strokeLinecap="round" strokeLinejoin="round" d="M16.5 12.75a4.5 4.5 0 1 1-9 0 4.5 4.5 0 0 1 9 0ZM18.75 10.5h.008v.008h-.008V10.5Z" /></svg>;
+const IconPlus = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5"><path strokeLinecap="round" strokeLinejoin="round" d="M12 4.5v15m7.5-7.5h-15" /></svg>;
+const IconX = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5"><path strokeLinecap="round" strokeLinejoin="round" d="M6 18 18 6M6 6l12 12" /></svg>;
+const IconSettings = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-6 h-6"><path strokeLinecap="round" strokeLinejoin="round" d="M9.594 3.94c.09-.542.56-.94 1.11-.94h2.593c.55 0 1.02.398 1.11.94l.213 1.281c.063.374.313.686.645.87.074.04.147.083.22.127.325.196.72.257 1.075.124l1.217-.456a1.125 1.125 0 0 1 1.37.49l1.296 2.247a1.125 1.125 0 0 1-.26 1.431l-1.003.827c-.293.241-.438.613-.43.992a7.723 7.723 0 0 1 0 .255c-.008.378.137.75.43.991l1.004.827c.424.35.534.955.26 1.43l-1.298 2.247a1.125 1.125 0 0 1-1.369.491l-1.217-.456c-.355-.133-.75-.072-1.076.124a6.47 6.47 0 0 1-.22.128c-.331.183-.581.495-.644.869l-.213 1.281c-.09.543-.56.94-1.11.94h-2.594c-.55 0-1.019-.398-1.11-.94l-.213-1.281c-.062-.374-.312-.686-.644-.87a6.52 6.52 0 0 1-.22-.127c-.325-.196-.72-.257-1.076-.124l-1.217.456a1.125 1.125 0 0 1-1.369-.49l-1.297-2.247a1.125 1.125 0 0 1 .26-1.431l1.004-.827c.292-.24.437-.613.43-.991a6.932 6.932 0 0 1 0-.255c.007-.38-.138-.751-.43-.992l-1.004-.827a1.125 1.125 0 0 1-.26-1.43l1.297-2.247a1.125 1.125 0 0 1 1.37-.491l1.216.456c.356.133.751.072 1.076-.124.072-.044.146-.086.22-.128.332-.183.582-.495.644-.869l.214-1.28Z" /><path strokeLinecap="round" strokeLinejoin="round" d="M15 12a3 3 0 1 1-6 0 3 3 0 0 1 6 0Z" /></svg>;
+const IconHistory = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-6 h-6"><path strokeLinecap="round" strokeLinejoin="round" d="M12 6v6h4.5m4.5 0a9 9 0 1 1-18 0 9 9 0 0 1 18 0Z" /></svg>;
+const IconTrash = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5"><path strokeLinecap="round" strokeLinejoin="round" d="m14.74 9-.346 9m-4.788 0L9.26 9m9.968-3.21c.342.052.682.107 1.022.166m-1.022-.165L18.16 19.673a2.25 2.25 0 0 1-2.244 2.077H8.084a2.25 2.25 0 0 1-2.244-2.077L4.772 5.79m14.456 0a48.108 48.108 0 0 0-3.478-.397m-12 .562c.34-.059.68-.114 1.022-.165m0 0a48.11 48.11 0 0 1 3.478-.397m7.5 0v-.916c0-1.18-.91-2.164-2.09-2.201a51.964 51.964 0 0 0-3.32 0c-1.18.037-2.09 1.022-2.09 2.201v.916m7.5 0a48.667 48.667 0 0 0-7.5 0" /></svg>;
+const IconPencil = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-4 h-4"><path strokeLinecap="round" strokeLinejoin="round" d="m16.862 4.487 1.687-1.688a1.875 1.875 0 1 1 2.652 2.652L10.582 16.07a4.5 4.5 0 0 1-1.897 1.13L6 18l.8-2.685a4.5 4.5 0 0 1 1.13-1.897l8.932-8.931Zm0 0L19.5 7.125M18 14v4.75A2.25 2.25 0 0 1 15.75 21H5.25A2.25 2.25 0 0 1 3 18.75V8.25A2.25 2.25 0 0 1 5.25 6H10" /></svg>;
+const IconChevronLeft = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-6 h-6"><path strokeLinecap="round" strokeLinejoin="round" d="M15.75 19.5 8.25 12l7.5-7.5" /></svg>;
+const IconChevronRight = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-6 h-6"><path strokeLinecap="round" strokeLinejoin="round" d="m8.25 4.5 7.5 7.5-7.5 7.5" /></svg>;
+const IconRegenerate = () => <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={2} stroke="currentColor" className="w-6 h-6"><path strokeLinecap="round" strokeLinejoin="round" d="M16.023 16.023A7.5 7.5 0 1 0 8.25 8.25V6.75a.75.75 0 0 1 1.5 0v3.75a.75.75 0 0 1-.75.75H5.25a.75.75 0 0 1 0-1.5h2.37a5.98 5.98 0 0 1 8.403 8.403Z" /></svg>;
+
+
+// --- React Components (Redesigned) ---
+
+// UI: Modernized Button Component
+const Button = ({ children, onClick, disabled, primary = false, className = '' }) => {
+    const baseClass = "px-6 py-2 rounded-md font-semibold tracking-wider uppercase transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed";
+    const themeClass = primary 
+        ? "bg-yellow-400 text-black hover:bg-yellow-300" 
+        : "bg-transparent border border-gray-600 text-gray-300 hover:bg-gray-800 hover:text-white";
+    
+    return (
+        <button
+            onClick={onClick}
+            disabled={disabled}
+            className={`${baseClass} ${themeClass} ${className}`}
+        >
+            {children}
+        </button>
+    );
+};
+
+// UI: Modernized PhotoDisplay
+// Small live render of the single-image download. The picture is cropped and shrunk once; only the frame is redrawn on edits.
+const FramePreview = ({ imageUrl, cropFit = 'cover', caption, frame }) => {
+    const [source, setSource] = useState(null);
+    const [previewUrl, setPreviewUrl] = useState(null);
+
+    useEffect(() => {
+        let isCancelled = false;
+        cropImage(imageUrl, '1:1', cropFit)
+            .then(loadImage)
+            .then(img => {
+                if (isCancelled) return;
+                const canvas = document.createElement('canvas');
+                canvas.width = FRAME_PREVIEW_SIZE;
+                canvas.height = Math.round(FRAME_PREVIEW_SIZE * img.height / img.width);
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                setSource(canvas);
+            })
+            .catch(err => console.warn("Could not build the frame preview:", err));
+        return () => { isCancelled = true; };
+    }, [imageUrl, cropFit]);
+
+    useEffect(() => {
+        if (!source) return;
+        let isCancelled = false;
+        loadFrameFonts(frame).then(() => {
+            if (!isCancelled) setPreviewUrl(drawFramedImage(source, caption, frame).toDataURL('image/jpeg', 0.85));
+        });
+        return () => { isCancelled = true; };
+    }, [source, caption, frame]);
+
+    return previewUrl
+        ? <img src={previewUrl} alt="Download preview" className="w-full rounded-md" />
+        : <div className="w-full aspect-[4/5] rounded-md bg-gray-800 animate-pulse"></div>;
+};
+
+const PhotoDisplay = ({ era, imageUrl, variants = [], selectedVariant = 0, onSelectVariant, onDownload, onRegenerate, onRefine, onEditArea, onOpen, frame = DEFAULT_FRAME_OPTIONS, onFrameChange, cropFit = 'cover', isPolaroid = true, index=0, showLabel = true }) => {
+    const [isMenuOpen, setIsMenuOpen] = useState(false);
+    const [isFrameEditorOpen, setIsFrameEditorOpen] = useState(false);
+    const [caption, setCaption] = useState('');
+    const [viewedVariant, setViewedVariant] = useState(selectedVariant);
+    const menuRef = useRef(null);
+    const hasVariants = variants.length > 1;
+    const displayedUrl = hasVariants ? (variants[viewedVariant] || imageUrl) : imageUrl;
+
+    // A regenerated card brings a new set of variants; show its pick again.
+    useEffect(() => {
+        setViewedVariant(selectedVariant);
+    }, [variants, selectedVariant]);
+
+    // Close menu on click outside
+    useEffect(() => {
+        const handleClickOutside = (event) => {
+            if (menuRef.current && !menuRef.current.contains(event.target)) {
+                setIsMenuOpen(false);
+            }
+        };
+        document.addEventListener("mousedown", handleClickOutside);
+        return () => document.removeEventListener("mousedown", handleClickOutside);
+    }, []);
+
+    const rotation = useMemo(() => {
+        if (!isPolaroid) return 'rotate-0';
+        const rotations = ['rotate-1', '-rotate-1', 'rotate-0.5', '-rotate-1.5'];
+        return rotations[index % rotations.length];
+    }, [index, isPolaroid]);
+
+    const containerClass = isPolaroid
+            ? `relative group bg-gray-100 p-3 pb-12 shadow-xl transform transition-all duration-300 hover:shadow-2xl hover:scale-105 ${rotation}`
+            : 'relative group pb-4 bg-gray-900 rounded-xl shadow-lg transition-all duration-300 hover:shadow-2xl hover:scale-105';
+    
+    const imageContainerClass = isPolaroid
+            ? 'relative aspect-square bg-gray-200'
+            : 'relative rounded-t-xl overflow-hidden';
+
+    const frameInputClass = "w-full bg-gray-800 border border-gray-600 rounded-md py-1.5 px-2 text-xs text-white focus:outline-none focus:ring-2 focus:ring-yellow-400";
+
+    const textClass = isPolaroid
+        ? 'text-center mt-4 font-caveat text-3xl text-gray-900 absolute bottom-3 left-0 right-0'
+        : 'text-center mt-3 text-lg font-semibold text-gray-300 px-3';
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+            className={containerClass}
+        >
+            <div className={imageContainerClass}>
+                <img src={displayedUrl} alt={`You in ${era}`} onClick={() => onOpen(hasVariants ? viewedVariant : null)} className={`w-full cursor-zoom-in ${isPolaroid ? 'h-full object-cover' : 'h-auto'}`} />
+                {hasVariants && (
+                    <div className="absolute bottom-2 left-2 right-2 flex items-end justify-between gap-2">
+                        <div className="flex gap-1.5 p-1 rounded-lg bg-black/60 backdrop-blur-sm">
+                            {variants.map((url, variantIndex) => (
+                                <button
+                                    key={variantIndex}
+                                    onClick={() => setViewedVariant(variantIndex)}
+                                    className={`relative w-10 h-10 rounded-md overflow-hidden ring-2 transition-all ${variantIndex === viewedVariant ? 'ring-yellow-400' : 'ring-transparent opacity-70 hover:opacity-100'}`}
+                                    aria-label={`Show variant ${variantIndex + 1}`}
+                                >
+                                    <img src={url} alt="" className="w-full h-full object-cover" />
+                                    {variantIndex === selectedVariant && (
+                                        <span className="absolute bottom-0 right-0 bg-yellow-400 text-black text-[10px] font-bold leading-none px-1 py-0.5 rounded-tl">✓</span>
+                                    )}
+                                </button>
+                            ))}
+                        </div>
+                        {viewedVariant !== selectedVariant && (
+                            <button
+                                onClick={() => onSelectVariant(viewedVariant)}
+                                className="px-3 py-1.5 rounded-full bg-yellow-400 text-black text-xs font-semibold shadow-lg hover:bg-yellow-300 transition-colors"
+                            >
+                                Use this one
+                            </button>
+                        )}
+                    </div>
+                )}
+            </div>
+            {showLabel && <p className={textClass}>{era}</p>}
+
+            <div className="absolute top-3 right-3 z-10" ref={menuRef}>
+                <button
+                    onClick={() => setIsMenuOpen(!isMenuOpen)}
+                    className="p-2 rounded-full bg-black/60 text-white hover:bg-black/80 transition-colors backdrop-blur-sm shadow-lg"
+                    aria-label="Options"
+                >
+                    <IconOptions />
+                </button>
+
+                {isMenuOpen && (
+                    <motion.div
+                        initial={{ opacity: 0, scale: 0.95 }}
+                        animate={{ opacity: 1, scale: 1 }}
+                        transition={{ duration: 0.1 }}
+                        className="absolute right-0 top-12 mt-2 w-64 origin-top-right bg-black/80 backdrop-blur-md rounded-lg shadow-2xl ring-1 ring-white/10 text-white text-sm flex flex-col p-1"
+                    >
+                        <span className="w-full text-left px-3 pt-2 pb-1 text-xs text-gray-500 uppercase tracking-wider">Actions</span>
+                        <button onClick={() => { onRefine(); setIsMenuOpen(false); }} className="w-full text-left px-3 py-2 hover:bg-yellow-400/20 rounded-md transition-colors">Refine...</button>
+                        <button onClick={() => { onEditArea(); setIsMenuOpen(false); }} className="w-full text-left px-3 py-2 hover:bg-yellow-400/20 rounded-md transition-colors">Edit Area...</button>
+                        <button onClick={() => { onRegenerate(); setIsMenuOpen(false); }} className="w-full text-left px-3 py-2 hover:bg-yellow-400/20 rounded-md transition-colors">Regenerate</button>
+                        
+                        <div className="my-1 h-px bg-white/10"></div>
+                        
+                        <span className="w-full text-left px-3 pt-1 pb-1 text-xs text-gray-500 uppercase tracking-wider">Download</span>
+                        <button onClick={() => { onDownload(displayedUrl, era, '1:1', { caption: caption.trim() }); setIsMenuOpen(false); }} className="w-full text-left px-3 py-2 hover:bg-yellow-400/20 rounded-md transition-colors">Square (1:1)</button>
+                        <button onClick={() => { onDownload(displayedUrl, era, '9:16', { caption: caption.trim() }); setIsMenuOpen(false); }} className="w-full text-left px-3 py-2 hover:bg-yellow-400/20 rounded-md transition-colors">Portrait (9:16)</button>
+
+                        <div className="px-3 pt-2 pb-3 space-y-2">
+                            <FramePreview imageUrl={displayedUrl} cropFit={cropFit} caption={caption.trim() || (showLabel ? era : null)} frame={frame} />
+                            <select
+                                value={frame.style}
+                                onChange={(e) => onFrameChange({ style: e.target.value })}
+                                className={frameInputClass}
+                                aria-label="Frame style"
+                            >
+                                {Object.entries(FRAME_STYLES).map(([id, style]) => (
+                                    <option key={id} value={id}>{style.label}</option>
+                                ))}
+                            </select>
+                            <button onClick={() => setIsFrameEditorOpen(!isFrameEditorOpen)} className="text-xs text-gray-400 hover:text-white underline">
+                                {isFrameEditorOpen ? "Hide frame options" : "Customize frame..."}
+                            </button>
+                            {isFrameEditorOpen && (
+                                <div className="space-y-2">
+                                    <input
+                                        type="text"
+                                        value={caption}
+                                        onChange={(e) => setCaption(e.target.value)}
+                                        placeholder={showLabel ? era : "Caption (optional)"}
+                                        className={frameInputClass}
+                                        aria-label="Caption"
+                                    />
+                                    <select
+                                        value={frame.captionFont}
+                                        onChange={(e) => onFrameChange({ captionFont: e.target.value })}
+                                        className={frameInputClass}
+                                        aria-label="Caption font"
+                                    >
+                                        {Object.entries(CAPTION_FONTS).map(([id, font]) => (
+                                            <option key={id} value={id}>{font.label}</option>
+                                        ))}
+                                    </select>
+                                    {frame.style === 'custom' && (
+                                        <div className="flex gap-3 text-xs text-gray-400">
+                                            <label className="flex items-center gap-1.5">
+                                                <input type="color" value={frame.background} onChange={(e) => onFrameChange({ background: e.target.value })} className="w-6 h-6 bg-transparent border-0 p-0 cursor-pointer" />
+                                                Frame
+                                            </label>
+                                            <label className="flex items-center gap-1.5">
+                                                <input type="color" value={frame.textColor} onChange={(e) => onFrameChange({ textColor: e.target.value })} className="w-6 h-6 bg-transparent border-0 p-0 cursor-pointer" />
+                                                Text
+                                            </label>
+                                        </div>
+                                    )}
+                                    <label className="flex items-center gap-2 text-xs text-gray-400 cursor-pointer">
+                                        <input
+                                            type="checkbox"
+                                            checked={frame.showFooter}
+                                            onChange={(e) => onFrameChange({ showFooter: e.target.checked })}
+                                            className="accent-yellow-400"
+                                        />
+                                        Footer text
+                                    </label>
+                                    {frame.showFooter && (
+                                        <textarea
+                                            value={frame.footerText}
+                                            onChange={(e) => onFrameChange({ footerText: e.target.value })}
+                                            rows={2}
+                                            className={`${frameInputClass} resize-none`}
+                                            aria-label="Footer text"
+                                        />
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    </motion.div>
+                )}
+            </div>
+        </motion.div>
+    );
+};
+
+// UI: Skeleton Loader for LoadingCard
+const SkeletonLoader = ({ className }) => (
+    <div className={`animate-pulse bg-gray-800 ${className}`}></div>
+);
+
+const LoadingCard = ({ era, isPolaroid = true, showLabel = true, onCancel }) => {
+    const containerClass = isPolaroid
+        ? 'relative bg-gray-100 p-3 pb-12 shadow-md'
+        : 'pb-4 bg-gray-900 rounded-xl shadow-md';
+
+    const loaderClass = isPolaroid
         ? 'aspect-square'
         : 'aspect-[3/4] rounded-t-xl';
     
     return (
-        <div className={containerClass}>
-            <SkeletonLoader className={loaderClass} />
-            
-            {isPolaroid && showLabel && (
-                <div className="absolute bottom-3 left-0 right-0 flex justify-center">
-                     <SkeletonLoader className="h-6 w-3/4 rounded-md bg-gray-300" />
+        <div className={containerClass}>
+            <SkeletonLoader className={loaderClass} />
+            
+            {isPolaroid && showLabel && (
+                <div className="absolute bottom-3 left-0 right-0 flex justify-center">
+                     <SkeletonLoader className="h-6 w-3/4 rounded-md bg-gray-300" />
+                </div>
+            )}
+            {!isPolaroid && showLabel && (
+                 <div className="mt-3 flex justify-center">
+                    <SkeletonLoader className="h-5 w-1/2 rounded-md" />
+                </div>
+            )}
+            <div className="absolute inset-0 flex items-center justify-center">
+                <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-yellow-400"></div>
+            </div>
+            {onCancel && (
+                <button
+                    onClick={onCancel}
+                    className="absolute top-3 right-3 z-10 p-2 rounded-full bg-black/60 text-white hover:bg-black/80 transition-colors backdrop-blur-sm shadow-lg"
+                    aria-label="Cancel"
+                >
+                    <IconX />
+                </button>
+            )}
+        </div>
+    );
+};
+
+// UI: Modernized ErrorCard
+const ErrorCard = ({ era, isPolaroid = true, onRegenerate, showLabel = true, isCancelled = false, error = null }) => {
+     const containerClass = isPolaroid
+        ? 'relative group bg-gray-100 p-3 pb-12 shadow-md'
+        : 'pb-4 bg-gray-900 rounded-xl shadow-md';
+
+    const borderClass = isCancelled ? 'border-gray-500/50' : 'border-red-500/50';
+    const errorContainerClass = isPolaroid
+        ? `aspect-square bg-gray-200 border-2 border-dashed ${borderClass}`
+        : `rounded-t-xl bg-gray-800 border-2 border-dashed ${borderClass} aspect-[3/4]`;
+    
+    const textClass = isPolaroid
+        ? 'text-center mt-4 font-caveat text-3xl text-gray-900 absolute bottom-3 left-0 right-0'
+        : 'text-center mt-3 text-lg font-semibold text-gray-300 px-3';
+
+    return (
+        <div
+            className={`relative transition-all duration-500 ease-in-out group ${containerClass} `}
+        >
+            <div 
+                className={`flex flex-col items-center justify-center text-center p-4 ${errorContainerClass}`}
+            >
+                {isCancelled ? (
+                    <p className="text-gray-500 font-medium mb-4">Cancelled</p>
+                ) : (
+                    <div className="mb-4 w-full">
+                        <p className="text-red-400 font-medium">{error?.title || "Generation failed"}</p>
+                        {error?.detail && <p className="text-xs text-gray-500 mt-2">{error.detail}</p>}
+                        {error?.modelText && (
+                            <p className="text-xs text-gray-400 italic mt-2 max-h-24 overflow-y-auto styled-scrollbar">“{error.modelText}”</p>
+                        )}
+                    </div>
+                )}
+                {onRegenerate && (
+                    <Button onClick={onRegenerate} primary>
+                        Retry
+                    </Button>
+                )}
+            </div>
+            {showLabel && <p className={textClass}>{era}</p>}
+        </div>
+    );
+};
+
+const ErrorNotification = ({ message, onDismiss }) => {
+    if (!message) return null;
+    return (
+        <div className="fixed top-5 left-1/2 z-50 w-full max-w-md p-4 bg-gray-900 border border-gray-700 text-gray-300 rounded-lg shadow-2xl flex items-center justify-between animate-fade-in-down" style={{ transform: 'translateX(-50%)' }}>
+            <span>{message}</span>
+            <button onClick={onDismiss} className="p-1 rounded-full hover:bg-gray-800 transition-colors ml-4">
+                <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="text-gray-500"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+            </button>
+        </div>
+    );
+};
+
+const CameraModal = ({ isOpen, onClose, onCapture }) => {
+    const videoRef = useRef(null);
+    const canvasRef = useRef(null);
+    const streamRef = useRef(null);
+    const countdownRef = useRef(null);
+    const captureFrameRef = useRef(null);
+    const [capturedImage, setCapturedImage] = useState(null);
+    const [cameraError, setCameraError] = useState(null);
+    const [prefs, setPrefs] = useState(loadCameraPrefs);
+    const [devices, setDevices] = useState([]);
+    const [activeFacingMode, setActiveFacingMode] = useState('user');
+    const [countdown, setCountdown] = useState(null);
+    const [isBursting, setIsBursting] = useState(false);
+    const [burstFrames, setBurstFrames] = useState([]);
+    const [bestFrameIndex, setBestFrameIndex] = useState(0);
+
+    const updatePrefs = useCallback((changes) => {
+        setPrefs(prev => {
+            const next = { ...prev, ...changes };
+            saveCameraPrefs(next);
+            return next;
+        });
+    }, []);
+
+    const cancelCountdown = useCallback(() => {
+        clearInterval(countdownRef.current);
+        countdownRef.current = null;
+        setCountdown(null);
+    }, []);
+
+    const stopCamera = useCallback(() => {
+        if (streamRef.current) {
+            streamRef.current.getTracks().forEach(track => track.stop());
+            streamRef.current = null;
+        }
+        if (videoRef.current) {
+            videoRef.current.srcObject = null;
+        }
+    }, []);
+
+    // Only these preferences need a new stream; mirror, timer and burst apply at capture time.
+    const { deviceId, facingMode, resolution } = prefs;
+
+    const startCamera = useCallback(async () => {
+        if (videoRef.current) {
+            setCameraError(null);
+            try {
+                // Stop previous stream just in case
+                stopCamera();
+                let stream;
+                try {
+                    stream = await navigator.mediaDevices.getUserMedia({ video: getCameraConstraints({ deviceId, facingMode, resolution }) });
+                } catch (err) {
+                    if (!deviceId || (err.name !== 'OverconstrainedError' && err.name !== 'NotFoundError')) throw err;
+                    // The remembered camera is gone (unplugged, other device); fall back to any camera facing the same way
+                    console.warn("Remembered camera unavailable, falling back:", err);
+                    updatePrefs({ deviceId: '' });
+                    return;
+                }
+                if (!videoRef.current) {
+                    stream.getTracks().forEach(track => track.stop());
+                    return;
+                }
+                videoRef.current.srcObject = stream;
+                streamRef.current = stream;
+                const trackSettings = stream.getVideoTracks()[0]?.getSettings() || {};
+                setActiveFacingMode(trackSettings.facingMode || (deviceId ? 'unknown' : facingMode));
+                // Device labels are only filled in once the user has granted camera access
+                const allDevices = await navigator.mediaDevices.enumerateDevices();
+                setDevices(allDevices.filter(device => device.kind === 'videoinput'));
+            } catch (err) {
+                console.error("Error accessing camera:", err);
+                setCameraError("Camera access denied. Please allow camera access in your browser settings.");
+            }
+        }
+    }, [stopCamera, updatePrefs, deviceId, facingMode, resolution]);
+
+    useEffect(() => {
+        if (isOpen && !capturedImage) {
+            // Modal is open and we should be showing the live camera feed
+            startCamera();
+        } else {
+            // Modal is closed or we are showing a captured image
+            stopCamera();
+        }
+
+        // Cleanup on unmount
+        return () => {
+            stopCamera();
+        };
+    }, [isOpen, capturedImage, startCamera, stopCamera]);
+
+    useEffect(() => {
+        if (!isOpen) cancelCountdown();
+        return cancelCountdown;
+    }, [isOpen, cancelCountdown]);
+
+    const readFrame = () => {
+        if (!videoRef.current || !canvasRef.current) return null;
+        const video = videoRef.current;
+        const canvas = canvasRef.current;
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        const context = canvas.getContext('2d');
+        if (prefs.mirrorCapture) {
+            context.scale(-1, 1); // Flip horizontally, like the selfie preview
+            context.drawImage(video, -canvas.width, 0, canvas.width, canvas.height);
+        } else {
+            context.drawImage(video, 0, 0, canvas.width, canvas.height);
+        }
+        return canvas;
+    };
+
+    const captureFrame = async () => {
+        if (!prefs.burst) {
+            const canvas = readFrame();
+            if (canvas) setCapturedImage(canvas.toDataURL('image/png'));
+            return;
+        }
+
+        setIsBursting(true);
+        const frames = [];
+        for (let i = 0; i < BURST_FRAME_COUNT; i++) {
+            if (i > 0) await new Promise(resolve => setTimeout(resolve, BURST_INTERVAL_MS));
+            if (!streamRef.current) break; // The camera was closed mid-burst
+            const canvas = readFrame();
+            if (canvas) frames.push({ dataUrl: canvas.toDataURL('image/png'), ...scoreFrame(canvas) });
+        }
+        setIsBursting(false);
+        if (frames.length === 0) return;
+
+        const best = frames.reduce((bestIndex, frame, index) => (frame.score > frames[bestIndex].score ? index : bestIndex), 0);
+        setBurstFrames(frames);
+        setBestFrameIndex(best);
+        setCapturedImage(frames[best].dataUrl);
+    };
+    // The self-timer fires from an older render; this lets it use the mirror and burst settings as they are when it ends.
+    captureFrameRef.current = captureFrame;
+
+    const handleCapture = () => {
+        if (isBursting) return;
+        if (countdown !== null) {
+            cancelCountdown();
+            return;
+        }
+        if (!prefs.timer) {
+            captureFrame();
+            return;
+        }
+        let remaining = prefs.timer;
+        setCountdown(remaining);
+        countdownRef.current = setInterval(() => {
+            remaining -= 1;
+            if (remaining > 0) {
+                setCountdown(remaining);
+                return;
+            }
+            cancelCountdown();
+            captureFrameRef.current();
+        }, 1000);
+    };
+
+    const handleConfirm = () => {
+        if (capturedImage) {
+            onCapture(capturedImage);
+            onClose();
+        }
+    };
+
+    const handleRetake = () => {
+        setBurstFrames([]);
+        setCapturedImage(null); // This will trigger the useEffect to restart the camera
+    };
+
+    if (!isOpen) return null;
+
+    // Front cameras are previewed like a mirror; back cameras as they are.
+    const isPreviewMirrored = activeFacingMode !== 'environment';
+    const selectClass = "bg-gray-800 border border-gray-600 rounded-lg py-1.5 px-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-yellow-400";
+
+    return (
+        <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4">
+             <motion.div 
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                transition={{ duration: 0.2 }}
+                className="bg-gray-900 rounded-2xl p-6 border border-gray-700 shadow-2xl w-full max-w-2xl text-center relative"
+             >
+                <h3 className="text-2xl font-semibold mb-4 text-white">Camera</h3>
+                <div className="aspect-square bg-black rounded-lg overflow-hidden relative mb-4 flex items-center justify-center">
+                    {cameraError ? (
+                        <div className="p-4 text-red-400">{cameraError}</div>
+                    ) : (
+                        <>
+                            {capturedImage ? (
+                                <img src={capturedImage} alt="Captured preview" className="w-full h-full object-cover" />
+                            ) : (
+                                <video ref={videoRef} autoPlay playsInline className={`w-full h-full object-cover transform ${isPreviewMirrored ? '-scale-x-100' : ''}`}></video>
+                            )}
+                            {countdown !== null && (
+                                <motion.div
+                                    key={countdown}
+                                    initial={{ opacity: 0, scale: 1.5 }}
+                                    animate={{ opacity: 1, scale: 1 }}
+                                    className="absolute inset-0 flex items-center justify-center text-white text-9xl font-bold drop-shadow-lg pointer-events-none"
+                                >
+                                    {countdown}
+                                </motion.div>
+                            )}
+                        </>
+                    )}
+                </div>
+
+                {!capturedImage && (
+                    <div className="flex flex-wrap items-center justify-center gap-3 mb-4 text-sm text-gray-400">
+                        {devices.length > 1 && (
+                            <select
+                                value={prefs.deviceId}
+                                onChange={(e) => updatePrefs({ deviceId: e.target.value })}
+                                className={`${selectClass} max-w-[14rem]`}
+                                aria-label="Camera"
+                            >
+                                <option value="">{prefs.facingMode === 'environment' ? "Back camera" : "Front camera"}</option>
+                                {devices.map((device, index) => (
+                                    <option key={device.deviceId || index} value={device.deviceId}>{device.label || `Camera ${index + 1}`}</option>
+                                ))}
+                            </select>
+                        )}
+                        <Button
+                            onClick={() => updatePrefs({ deviceId: '', facingMode: prefs.facingMode === 'user' ? 'environment' : 'user' })}
+                            className="text-sm px-3 py-1.5"
+                        >
+                            Flip
+                        </Button>
+                        <select
+                            value={prefs.resolution}
+                            onChange={(e) => updatePrefs({ resolution: e.target.value })}
+                            className={selectClass}
+                            aria-label="Resolution"
+                        >
+                            {CAMERA_RESOLUTIONS.map(preset => (
+                                <option key={preset.id} value={preset.id}>{preset.label}</option>
+                            ))}
+                        </select>
+                        <select
+                            value={prefs.timer}
+                            onChange={(e) => updatePrefs({ timer: Number(e.target.value) })}
+                            className={selectClass}
+                            aria-label="Self-timer"
+                        >
+                            {CAMERA_TIMERS.map(seconds => (
+                                <option key={seconds} value={seconds}>{seconds ? `${seconds}s timer` : "No timer"}</option>
+                            ))}
+                        </select>
+                        <label className="flex items-center gap-2 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={prefs.mirrorCapture}
+                                onChange={(e) => updatePrefs({ mirrorCapture: e.target.checked })}
+                                className="accent-yellow-400"
+                            />
+                            Mirror saved photo
+                        </label>
+                        <label className="flex items-center gap-2 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={prefs.burst}
+                                onChange={(e) => updatePrefs({ burst: e.target.checked })}
+                                className="accent-yellow-400"
+                            />
+                            Burst ({BURST_FRAME_COUNT} shots)
+                        </label>
+                    </div>
+                )}
+
+                {capturedImage && burstFrames.length > 1 && (
+                    <div className="mb-4">
+                        <p className="text-sm text-gray-400 mb-2">Pick the best shot. The sharpest, best-exposed frame is pre-selected.</p>
+                        <div className="flex justify-center gap-2 overflow-x-auto pb-1">
+                            {burstFrames.map((frame, index) => (
+                                <button
+                                    key={index}
+                                    onClick={() => setCapturedImage(frame.dataUrl)}
+                                    title={`Sharpness ${Math.round(frame.sharpness)}, brightness ${Math.round(frame.brightness * 100)}%`}
+                                    className={`relative w-16 h-16 flex-shrink-0 rounded-md overflow-hidden border-2 transition-colors ${capturedImage === frame.dataUrl ? 'border-yellow-400' : 'border-transparent hover:border-gray-500'}`}
+                                >
+                                    <img src={frame.dataUrl} alt={`Burst frame ${index + 1}`} className="w-full h-full object-cover" />
+                                    {index === bestFrameIndex && (
+                                        <span className="absolute bottom-0 inset-x-0 bg-yellow-400 text-black text-[10px] font-bold leading-4">BEST</span>
+                                    )}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                <div className="flex justify-center gap-4">
+                    {capturedImage ? (
+                        <>
+                            <Button onClick={handleRetake}>Retake</Button>
+                            <Button onClick={handleConfirm} primary>Use Photo</Button>
+                        </>
+                    ) : (
+                         <button
+                            onClick={handleCapture}
+                            disabled={!!cameraError || isBursting}
+                            aria-label={countdown !== null ? "Cancel timer" : "Take photo"}
+                            className={`w-20 h-20 rounded-full border-4 border-gray-600 focus:outline-none focus:ring-4 focus:ring-yellow-400 transition-all hover:border-yellow-400 disabled:opacity-50 disabled:cursor-not-allowed ${countdown !== null ? 'bg-red-500' : 'bg-white'}`}
+                         ></button>
+                    )}
+                </div>
+                
+                <button onClick={onClose} className="absolute top-4 right-4 p-2 rounded-full bg-gray-800/70 text-white hover:bg-gray-700 transition-colors">
+                    <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-6 h-6"><path strokeLinecap="round" strokeLinejoin="round" d="M6 18 18 6M6 6l12 12" /></svg>
+                </button>
+                <canvas ref={canvasRef} className="hidden"></canvas>
+            </motion.div>
+        </div>
+    );
+};
+
+const SettingsModal = ({ isOpen, onClose, settings, onSave }) => {
+    const [draft, setDraft] = useState(settings);
+    const [testStatus, setTestStatus] = useState(null);
+
+    useEffect(() => {
+        if (isOpen) {
+            setDraft(settings);
+            setTestStatus(null);
+        }
+    }, [isOpen, settings]);
+
+    if (!isOpen) return null;
+
+    const provider = IMAGE_PROVIDERS[draft.provider] || IMAGE_PROVIDERS[DEFAULT_PROVIDER_SETTINGS.provider];
+    const inputClass = "w-full bg-gray-800 border border-gray-600 rounded-lg py-2 px-4 focus:outline-none focus:ring-2 focus:ring-yellow-400 text-white";
+
+    const updateDraft = (changes) => {
+        setDraft(prev => ({ ...prev, ...changes }));
+        setTestStatus(null);
+    };
+
+    const handleTest = async () => {
+        setTestStatus({ state: 'testing' });
+        try {
+            const { provider: resolvedProvider, ...resolved } = resolveProviderSettings(draft);
+            await resolvedProvider.test(resolved);
+            setTestStatus({ state: 'ok', message: "Connection works." });
+        } catch (err) {
+            console.error("Settings test failed:", err);
+            setTestStatus({ state: 'error', message: err.message });
+        }
+    };
+
+    const handleSave = () => {
+        onSave(draft);
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4">
+            <motion.div
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                transition={{ duration: 0.2 }}
+                className="bg-gray-900 rounded-2xl p-6 border border-gray-700 shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto text-left relative space-y-5"
+            >
+                <h3 className="text-2xl font-semibold text-white">Settings</h3>
+
+                <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Image engine</label>
+                    <select
+                        value={draft.provider}
+                        onChange={(e) => updateDraft({ provider: e.target.value, model: '', baseUrl: '' })}
+                        className={inputClass}
+                    >
+                        {Object.entries(IMAGE_PROVIDERS).map(([id, p]) => (
+                            <option key={id} value={id}>{p.name}</option>
+                        ))}
+                    </select>
+                </div>
+
+                {draft.provider !== 'mock' && (
+                    <>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400 mb-2">API key</label>
+                            <input
+                                type="password"
+                                autoComplete="off"
+                                placeholder={draft.provider === 'gemini' ? "Leave empty inside Gemini Canvas" : "sk-..."}
+                                value={draft.apiKey}
+                                onChange={(e) => updateDraft({ apiKey: e.target.value })}
+                                className={inputClass}
+                            />
+                            <label className="mt-2 flex items-center gap-2 text-sm text-gray-400 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={draft.rememberKey}
+                                    onChange={(e) => updateDraft({ rememberKey: e.target.checked })}
+                                    className="accent-yellow-400"
+                                />
+                                Remember key on this device (otherwise it's forgotten when the tab closes)
+                            </label>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400 mb-2">Model</label>
+                            <input
+                                type="text"
+                                placeholder={provider.defaultModel}
+                                value={draft.model}
+                                onChange={(e) => updateDraft({ model: e.target.value.trim() })}
+                                className={inputClass}
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400 mb-2">Base URL</label>
+                            <input
+                                type="url"
+                                placeholder={provider.defaultBaseUrl}
+                                value={draft.baseUrl}
+                                onChange={(e) => updateDraft({ baseUrl: e.target.value.trim() })}
+                                className={inputClass}
+                            />
+                        </div>
+                    </>
+                )}
+
+                <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Parallel generations: {draft.concurrency}</label>
+                    <input
+                        type="range"
+                        min={1}
+                        max={MAX_CONCURRENCY}
+                        value={draft.concurrency}
+                        onChange={(e) => updateDraft({ concurrency: Number(e.target.value) })}
+                        className="w-full accent-yellow-400"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">More at once finishes an album faster but hits rate limits sooner.</p>
+                </div>
+
+                <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Variants per prompt: {draft.variantsPerPrompt}</label>
+                    <input
+                        type="range"
+                        min={1}
+                        max={MAX_VARIANTS_PER_PROMPT}
+                        value={draft.variantsPerPrompt}
+                        onChange={(e) => updateDraft({ variantsPerPrompt: Number(e.target.value) })}
+                        className="w-full accent-yellow-400"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Each extra variant is another request. Pick the best one on the card; only that one goes into the album.</p>
+                </div>
+
+                <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Upload size (longest edge)</label>
+                    <select
+                        value={draft.maxImageEdge}
+                        onChange={(e) => updateDraft({ maxImageEdge: Number(e.target.value) })}
+                        className={inputClass}
+                    >
+                        {UPLOAD_EDGE_OPTIONS.map(edge => (
+                            <option key={edge} value={edge}>{edge} px</option>
+                        ))}
+                    </select>
+                    <p className="text-xs text-gray-500 mt-1">Photos are scaled down to this size before they're sent. Larger keeps more detail but uploads slower.</p>
+                </div>
+
+                <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Download format</label>
+                    <div className="flex flex-wrap gap-2">
+                        {Object.entries(EXPORT_FORMATS).map(([id, format]) => (
+                            <RadioPill key={id} name="exportFormat" value={id} label={format.label} checked={draft.exportFormat === id} onChange={() => updateDraft({ exportFormat: id })} />
+                        ))}
+                    </div>
+                    {EXPORT_FORMATS[draft.exportFormat]?.isLossy && (
+                        <div className="mt-3">
+                            <label className="block text-sm font-medium text-gray-400 mb-2">Quality: {Math.round(draft.exportQuality * 100)}%</label>
+                            <input
+                                type="range"
+                                min={0.5}
+                                max={1}
+                                step={0.01}
+                                value={draft.exportQuality}
+                                onChange={(e) => updateDraft({ exportQuality: Number(e.target.value) })}
+                                className="w-full accent-yellow-400"
+                            />
+                        </div>
+                    )}
+                </div>
+
+                <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Download size</label>
+                    <div className="flex flex-wrap gap-2">
+                        {Object.entries(EXPORT_SIZE_MODES).map(([id, label]) => (
+                            <RadioPill key={id} name="exportSize" value={id} label={label} checked={draft.exportSize === id} onChange={() => updateDraft({ exportSize: id })} />
+                        ))}
+                    </div>
+                    {draft.exportSize === 'long-edge' && (
+                        <input
+                            type="number"
+                            min={MIN_EXPORT_EDGE}
+                            max={MAX_EXPORT_EDGE}
+                            step={100}
+                            value={draft.exportLongEdge}
+                            onChange={(e) => updateDraft({ exportLongEdge: Number(e.target.value) })}
+                            className={`${inputClass} mt-3`}
+                            aria-label="Long edge in pixels"
+                        />
+                    )}
+                    {draft.exportSize === 'print' && (
+                        <div className="flex gap-3 mt-3">
+                            <select
+                                value={draft.exportPrintSize}
+                                onChange={(e) => updateDraft({ exportPrintSize: e.target.value })}
+                                className={inputClass}
+                                aria-label="Print size"
+                            >
+                                {PRINT_SIZES.map(size => (
+                                    <option key={size.id} value={size.id}>{size.label}</option>
+                                ))}
+                            </select>
+                            <select
+                                value={draft.exportDpi}
+                                onChange={(e) => updateDraft({ exportDpi: Number(e.target.value) })}
+                                className={`${inputClass} w-32`}
+                                aria-label="Print resolution"
+                            >
+                                {EXPORT_DPI_OPTIONS.map(dpi => (
+                                    <option key={dpi} value={dpi}>{dpi} DPI</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+                    <p className="text-xs text-gray-500 mt-1">
+                        {draft.exportSize === 'original'
+                            ? "Downloads keep the size the model returned."
+                            : draft.exportSize === 'long-edge'
+                                ? "The longest side of each download, in pixels. Applies to single images and albums."
+                                : "Downloads are scaled to fit the paper at this resolution, which is also saved in PNG and JPEG files."}
+                    </p>
+                </div>
+
+                {testStatus && (
+                    <p className={`text-sm ${testStatus.state === 'error' ? 'text-red-400' : testStatus.state === 'ok' ? 'text-green-400' : 'text-gray-400'}`}>
+                        {testStatus.state === 'testing' ? "Testing connection..." : testStatus.message}
+                    </p>
+                )}
+
+                <div className="flex justify-end gap-4 pt-2">
+                    <Button onClick={handleTest} disabled={testStatus?.state === 'testing'}>Test</Button>
+                    <Button onClick={handleSave} primary>Save</Button>
+                </div>
+
+                <button onClick={onClose} className="absolute top-4 right-4 p-2 rounded-full bg-gray-800/70 text-white hover:bg-gray-700 transition-colors">
+                    <IconX />
+                </button>
+            </motion.div>
+        </div>
+    );
+};
+
+// Create or edit a custom theme. The preview shows exactly what getModelInstruction sends for the chosen prompt.
+const TemplateEditorModal = ({ isOpen, onClose, initialTemplate, onSave, onDelete, onExport }) => {
+    const [draft, setDraft] = useState(EMPTY_CUSTOM_TEMPLATE);
+    const [previewIndex, setPreviewIndex] = useState(0);
+    const [formError, setFormError] = useState(null);
+
+    useEffect(() => {
+        if (isOpen) {
+            setDraft(initialTemplate ? { ...EMPTY_CUSTOM_TEMPLATE, ...initialTemplate } : EMPTY_CUSTOM_TEMPLATE);
+            setPreviewIndex(0);
+            setFormError(null);
+        }
+    }, [isOpen, initialTemplate]);
+
+    if (!isOpen) return null;
+
+    const inputClass = "w-full bg-gray-800 border border-gray-600 rounded-lg py-2 px-4 focus:outline-none focus:ring-2 focus:ring-yellow-400 text-white";
+    const isExisting = !!initialTemplate;
+
+    const updateDraft = (changes) => {
+        setDraft(prev => ({ ...prev, ...changes }));
+        setFormError(null);
+    };
+
+    const updatePrompt = (index, changes) => {
+        updateDraft({ prompts: draft.prompts.map((p, i) => (i === index ? { ...p, ...changes } : p)) });
+    };
+
+    const addPrompt = () => {
+        if (draft.prompts.length < MAX_CUSTOM_PROMPTS) {
+            updateDraft({ prompts: [...draft.prompts, { id: '', base: '' }] });
+        }
+    };
+
+    const removePrompt = (index) => {
+        updateDraft({ prompts: draft.prompts.filter((_, i) => i !== index) });
+        setPreviewIndex(prev => Math.max(0, Math.min(prev, draft.prompts.length - 2)));
+    };
+
+    // Trims the form into a template document, or returns null and shows what's missing.
+    const buildDocument = () => {
+        const prompts = draft.prompts
+            .map(p => ({ ...p, id: p.id.trim(), base: p.base.trim() }))
+            .filter(p => p.id || p.base);
+        if (prompts.some(p => !p.id || !p.base)) {
+            setFormError("Every prompt needs both a label and a description.");
+            return null;
+        }
+        if (new Set(prompts.map(p => p.id)).size !== prompts.length) {
+            setFormError("Every prompt needs a different label.");
+            return null;
+        }
+        const doc = {
+            ...draft,
+            id: draft.id || createCustomTemplateId(draft.name),
+            name: draft.name.trim(),
+            description: draft.description.trim(),
+            icon: draft.icon.trim() || EMPTY_CUSTOM_TEMPLATE.icon,
+            instruction: draft.instruction.trim(),
+            prompts,
+        };
+        try {
+            normalizeTemplate(doc);
+        } catch (err) {
+            setFormError(err.message);
+            return null;
+        }
+        if (!doc.instruction.includes('{{prompt.')) {
+            setFormError("The instruction needs a {{prompt.base}} or {{prompt.id}} placeholder, otherwise every photo gets the same instruction.");
+            return null;
+        }
+        return doc;
+    };
+
+    const handleSave = () => {
+        const doc = buildDocument();
+        if (doc) {
+            onSave(doc);
+            onClose();
+        }
+    };
+
+    const handleExport = () => {
+        const doc = buildDocument();
+        if (doc) onExport([doc]);
+    };
+
+    // Imported themes may carry options; preview them with their defaults.
+    const previewTemplate = { ...draft, options: normalizeTemplateOptions(draft.options) };
+    const previewPrompt = draft.prompts[previewIndex] || draft.prompts[0];
+    const previewText = previewPrompt && (previewPrompt.id || previewPrompt.base)
+        ? getModelInstruction(previewTemplate, previewPrompt, { options: getDefaultTemplateOptions(previewTemplate) })
+        : "Add a prompt to see the instruction the model will receive.";
+
+    return (
+        <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4">
+            <motion.div
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                transition={{ duration: 0.2 }}
+                className="bg-gray-900 rounded-2xl p-6 border border-gray-700 shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-y-auto text-left relative space-y-5"
+            >
+                <h3 className="text-2xl font-semibold text-white">{isExisting ? "Edit Theme" : "Create a Theme"}</h3>
+
+                <div className="grid grid-cols-[5rem_1fr] gap-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400 mb-2">Icon</label>
+                        <input
+                            type="text"
+                            maxLength={4}
+                            value={draft.icon}
+                            onChange={(e) => updateDraft({ icon: e.target.value })}
+                            className={`${inputClass} text-center text-xl`}
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400 mb-2">Name</label>
+                        <input
+                            type="text"
+                            placeholder="e.g., Renaissance Portraits"
+                            value={draft.name}
+                            onChange={(e) => updateDraft({ name: e.target.value })}
+                            className={inputClass}
+                        />
+                    </div>
                 </div>
-            )}
-            {!isPolaroid && showLabel && (
-                 <div className="mt-3 flex justify-center">
-                    <SkeletonLoader className="h-5 w-1/2 rounded-md" />
+
+                <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Description</label>
+                    <input
+                        type="text"
+                        placeholder="e.g., Yourself in the old masters' style."
+                        value={draft.description}
+                        onChange={(e) => updateDraft({ description: e.target.value })}
+                        className={inputClass}
+                    />
                 </div>
-            )}
-            <div className="absolute inset-0 flex items-center justify-center">
-                <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-yellow-400"></div>
-            </div>
+
+                <div className="flex flex-wrap items-center gap-6">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400 mb-2">Layout</label>
+                        <div className="flex gap-3">
+                            <RadioPill name="templateLayout" value="card" label="Card" checked={draft.layout === 'card'} onChange={() => updateDraft({ layout: 'card' })} />
+                            <RadioPill name="templateLayout" value="polaroid" label="Polaroid" checked={draft.layout === 'polaroid'} onChange={() => updateDraft({ layout: 'polaroid' })} />
+                        </div>
+                    </div>
+                    <label className="flex items-center gap-2 text-sm text-gray-400 cursor-pointer mt-6">
+                        <input
+                            type="checkbox"
+                            checked={draft.showLabels}
+                            onChange={(e) => updateDraft({ showLabels: e.target.checked })}
+                            className="accent-yellow-400"
+                        />
+                        Show prompt labels on the pictures
+                    </label>
+                </div>
+
+                <div>
+                    <div className="flex justify-between items-center mb-2">
+                        <label className="block text-sm font-medium text-gray-400">Prompts</label>
+                        <span className="text-sm font-bold text-gray-500">{draft.prompts.length} / {MAX_CUSTOM_PROMPTS}</span>
+                    </div>
+                    <div className="space-y-3">
+                        {draft.prompts.map((p, index) => (
+                            <div key={index} className="flex gap-2 items-start">
+                                <input
+                                    type="text"
+                                    placeholder="Label"
+                                    value={p.id}
+                                    onChange={(e) => updatePrompt(index, { id: e.target.value })}
+                                    className={`${inputClass} w-1/3`}
+                                />
+                                <textarea
+                                    rows={2}
+                                    placeholder="What this photo should show"
+                                    value={p.base}
+                                    onChange={(e) => updatePrompt(index, { base: e.target.value })}
+                                    className={`${inputClass} flex-1 resize-y`}
+                                />
+                                <button
+                                    onClick={() => removePrompt(index)}
+                                    disabled={draft.prompts.length === 1}
+                                    className="p-2 mt-1 rounded-full bg-gray-800 text-gray-400 hover:bg-red-500/80 hover:text-white transition-colors disabled:opacity-40 disabled:hover:bg-gray-800"
+                                    aria-label="Remove prompt"
+                                >
+                                    <IconTrash />
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                    {draft.prompts.length < MAX_CUSTOM_PROMPTS && (
+                        <button onClick={addPrompt} className="mt-3 flex items-center gap-2 text-sm font-semibold text-yellow-400 hover:text-yellow-300 transition-colors">
+                            <IconPlus /> Add prompt
+                        </button>
+                    )}
+                </div>
+
+                <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Instruction</label>
+                    <textarea
+                        rows={4}
+                        value={draft.instruction}
+                        onChange={(e) => updateDraft({ instruction: e.target.value })}
+                        className={`${inputClass} resize-y font-mono text-sm`}
+                    />
+                    <div className="flex flex-wrap gap-2 mt-2">
+                        {INSTRUCTION_PLACEHOLDERS.map(placeholder => (
+                            <button
+                                key={placeholder}
+                                onClick={() => updateDraft({ instruction: `${draft.instruction} ${placeholder}`.trim() })}
+                                className={pillClass(false)}
+                            >
+                                {placeholder}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                <div>
+                    <div className="flex justify-between items-center mb-2">
+                        <label className="block text-sm font-medium text-gray-400">Preview</label>
+                        {draft.prompts.length > 1 && (
+                            <select
+                                value={previewIndex}
+                                onChange={(e) => setPreviewIndex(Number(e.target.value))}
+                                className="bg-gray-800 border border-gray-600 rounded-lg py-1 px-2 text-sm text-white"
+                            >
+                                {draft.prompts.map((p, index) => (
+                                    <option key={index} value={index}>{p.id || `Prompt ${index + 1}`}</option>
+                                ))}
+                            </select>
+                        )}
+                    </div>
+                    <p className="text-sm text-gray-300 bg-gray-800/60 border border-gray-700 rounded-lg p-3 whitespace-pre-wrap">{previewText}</p>
+                </div>
+
+                {formError && <p className="text-sm text-red-400">{formError}</p>}
+
+                <div className="flex flex-wrap justify-between gap-4 pt-2">
+                    <div className="flex gap-4">
+                        {isExisting && (
+                            <Button onClick={() => { onDelete(draft.id); onClose(); }} className="hover:bg-red-500/80">Delete</Button>
+                        )}
+                        <Button onClick={handleExport}>Export</Button>
+                    </div>
+                    <Button onClick={handleSave} primary>Save Theme</Button>
+                </div>
+
+                <button onClick={onClose} className="absolute top-4 right-4 p-2 rounded-full bg-gray-800/70 text-white hover:bg-gray-700 transition-colors">
+                    <IconX />
+                </button>
+            </motion.div>
         </div>
     );
 };
 
-// UI: Modernized ErrorCard
-const ErrorCard = ({ era, isPolaroid = true, onRegenerate, showLabel = true }) => {
-     const containerClass = isPolaroid
-        ? 'relative group bg-gray-100 p-3 pb-12 shadow-md'
-        : 'pb-4 bg-gray-900 rounded-xl shadow-md';
+// Pan, zoom, rotate and crop a reference photo. Dragging the photo pans it; in "Free" mode the
+// crop box corners can be dragged too.
+const PhotoEditorModal = ({ isOpen, imageUrl, initialEdit, onClose, onApply, onReset }) => {
+    const [edit, setEdit] = useState(DEFAULT_PHOTO_EDIT);
+    const [showFaceGuide, setShowFaceGuide] = useState(true);
+    const [imageBounds, setImageBounds] = useState(FULL_STAGE);
+    const stageRef = useRef(null);
+    const dragRef = useRef(null);
 
-    const errorContainerClass = isPolaroid
-        ? 'aspect-square bg-gray-200 border-2 border-dashed border-red-500/50'
-        : 'rounded-t-xl bg-gray-800 border-2 border-dashed border-red-500/50 aspect-[3/4]';
-    
-    const textClass = isPolaroid
-        ? 'text-center mt-4 font-caveat text-3xl text-gray-900 absolute bottom-3 left-0 right-0'
-        : 'text-center mt-3 text-lg font-semibold text-gray-300 px-3';
+    useEffect(() => {
+        if (isOpen) {
+            setEdit(initialEdit || DEFAULT_PHOTO_EDIT);
+        }
+    }, [isOpen, initialEdit]);
+
+    if (!isOpen || !imageUrl) return null;
+
+    const updateEdit = (changes) => setEdit(prev => ({ ...prev, ...changes }));
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+    const handleRatioChange = (ratioId) => {
+        const ratio = CROP_RATIOS.find(r => r.id === ratioId);
+        updateEdit({ ratio: ratioId, box: fitCropBox(ratio.value, imageBounds) });
+    };
+
+    const handleImageLoad = (event) => {
+        const bounds = getImageBounds(event.currentTarget.naturalWidth, event.currentTarget.naturalHeight);
+        setImageBounds(bounds);
+        if (!initialEdit) {
+            updateEdit({ box: bounds });
+        }
+    };
+
+    const handlePointerDown = (event, corner = null) => {
+        event.stopPropagation();
+        event.currentTarget.setPointerCapture(event.pointerId);
+        dragRef.current = { corner, startX: event.clientX, startY: event.clientY, startEdit: edit };
+    };
+
+    const handlePointerMove = (event) => {
+        const drag = dragRef.current;
+        if (!drag || !stageRef.current) return;
+        const size = stageRef.current.getBoundingClientRect().width;
+        const dx = (event.clientX - drag.startX) / size;
+        const dy = (event.clientY - drag.startY) / size;
+        const { startEdit } = drag;
+
+        if (!drag.corner) {
+            updateEdit({ panX: clamp(startEdit.panX + dx, -1, 1), panY: clamp(startEdit.panY + dy, -1, 1) });
+            return;
+        }
+        const { x, y, w, h } = startEdit.box;
+        let left = x, top = y, right = x + w, bottom = y + h;
+        if (drag.corner.includes('w')) left = clamp(x + dx, 0, right - MIN_CROP_SIZE);
+        if (drag.corner.includes('e')) right = clamp(x + w + dx, left + MIN_CROP_SIZE, 1);
+        if (drag.corner.includes('n')) top = clamp(y + dy, 0, bottom - MIN_CROP_SIZE);
+        if (drag.corner.includes('s')) bottom = clamp(y + h + dy, top + MIN_CROP_SIZE, 1);
+        updateEdit({ box: { x: left, y: top, w: right - left, h: bottom - top } });
+    };
+
+    const handlePointerUp = () => {
+        dragRef.current = null;
+    };
+
+    const handleWheel = (event) => {
+        updateEdit({ zoom: clamp(edit.zoom * (1 - event.deltaY * 0.001), 1, MAX_PHOTO_ZOOM) });
+    };
+
+    const { box } = edit;
+    const corners = [
+        { id: 'nw', className: 'top-0 left-0 -translate-x-1/2 -translate-y-1/2 cursor-nwse-resize' },
+        { id: 'ne', className: 'top-0 right-0 translate-x-1/2 -translate-y-1/2 cursor-nesw-resize' },
+        { id: 'sw', className: 'bottom-0 left-0 -translate-x-1/2 translate-y-1/2 cursor-nesw-resize' },
+        { id: 'se', className: 'bottom-0 right-0 translate-x-1/2 translate-y-1/2 cursor-nwse-resize' },
+    ];
 
     return (
-        <div
-            className={`relative transition-all duration-500 ease-in-out group ${containerClass} `}
-        >
-            <div 
-                className={`flex flex-col items-center justify-center text-center p-4 ${errorContainerClass}`}
+        <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4">
+            <motion.div
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                transition={{ duration: 0.2 }}
+                className="bg-gray-900 rounded-2xl p-6 border border-gray-700 shadow-2xl w-full max-w-xl max-h-[95vh] overflow-y-auto text-left relative space-y-4"
             >
-                <p className="text-red-400 font-medium mb-4">Generation failed</p>
-                {onRegenerate && (
-                    <Button onClick={onRegenerate} primary>
-                        Retry
-                    </Button>
-                )}
-            </div>
-            {showLabel && <p className={textClass}>{era}</p>}
+                <h3 className="text-2xl font-semibold text-white">Edit Photo</h3>
+
+                <div
+                    ref={stageRef}
+                    className="relative w-full aspect-square bg-black rounded-lg overflow-hidden touch-none cursor-move select-none"
+                    onPointerDown={(e) => handlePointerDown(e)}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    onPointerCancel={handlePointerUp}
+                    onWheel={handleWheel}
+                >
+                    <img
+                        src={imageUrl}
+                        alt="Photo being edited"
+                        draggable={false}
+                        onLoad={handleImageLoad}
+                        className="absolute inset-0 w-full h-full object-contain pointer-events-none"
+                        style={{ transform: `translate(${edit.panX * 100}%, ${edit.panY * 100}%) rotate(${getEditRotation(edit)}deg) scale(${edit.zoom})` }}
+                    />
+                    <div
+                        className="absolute border-2 border-yellow-400 pointer-events-none"
+                        style={{
+                            left: `${box.x * 100}%`,
+                            top: `${box.y * 100}%`,
+                            width: `${box.w * 100}%`,
+                            height: `${box.h * 100}%`,
+                            boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.55)',
+                        }}
+                    >
+                        <div className="absolute inset-0 grid grid-cols-3 grid-rows-3">
+                            {Array.from({ length: 9 }, (_, i) => <div key={i} className="border border-white/15"></div>)}
+                        </div>
+                        {showFaceGuide && (
+                            <div className="absolute left-[30%] top-[12%] w-[40%] aspect-[3/4] rounded-[50%] border-2 border-dashed border-white/70"></div>
+                        )}
+                        {edit.ratio === 'free' && corners.map(corner => (
+                            <div
+                                key={corner.id}
+                                onPointerDown={(e) => handlePointerDown(e, corner.id)}
+                                className={`absolute w-5 h-5 bg-yellow-400 rounded-full pointer-events-auto ${corner.className}`}
+                            ></div>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="flex flex-wrap items-center gap-3">
+                    <span className="text-sm font-medium text-gray-400">Crop</span>
+                    {CROP_RATIOS.map(ratio => (
+                        <RadioPill key={ratio.id} name="cropRatio" value={ratio.id} label={ratio.label} checked={edit.ratio === ratio.id} onChange={() => handleRatioChange(ratio.id)} />
+                    ))}
+                    <label className="ml-auto flex items-center gap-2 text-sm text-gray-400 cursor-pointer">
+                        <input type="checkbox" checked={showFaceGuide} onChange={(e) => setShowFaceGuide(e.target.checked)} className="accent-yellow-400" />
+                        Face guide
+                    </label>
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400 mb-2">Zoom: {edit.zoom.toFixed(1)}×</label>
+                        <input
+                            type="range"
+                            min={1}
+                            max={MAX_PHOTO_ZOOM}
+                            step={0.05}
+                            value={edit.zoom}
+                            onChange={(e) => updateEdit({ zoom: Number(e.target.value) })}
+                            className="w-full accent-yellow-400"
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400 mb-2">Straighten: {edit.straighten}°</label>
+                        <input
+                            type="range"
+                            min={-45}
+                            max={45}
+                            value={edit.straighten}
+                            onChange={(e) => updateEdit({ straighten: Number(e.target.value) })}
+                            className="w-full accent-yellow-400"
+                        />
+                    </div>
+                </div>
+
+                <div className="flex flex-wrap justify-between gap-4 pt-2">
+                    <div className="flex gap-4">
+                        <Button onClick={() => updateEdit({ quarterTurns: (edit.quarterTurns + 3) % 4 })}>⟲ 90°</Button>
+                        <Button onClick={() => updateEdit({ quarterTurns: (edit.quarterTurns + 1) % 4 })}>⟳ 90°</Button>
+                    </div>
+                    <div className="flex gap-4">
+                        <Button onClick={() => { onReset(); onClose(); }}>Use Original</Button>
+                        <Button onClick={() => { onApply(edit); onClose(); }} primary>Apply</Button>
+                    </div>
+                </div>
+
+                <button onClick={onClose} className="absolute top-4 right-4 p-2 rounded-full bg-gray-800/70 text-white hover:bg-gray-700 transition-colors">
+                    <IconX />
+                </button>
+            </motion.div>
         </div>
     );
 };
 
-const ErrorNotification = ({ message, onDismiss }) => {
-    if (!message) return null;
+// Chat-style follow-ups on a single result. Every answer from the model becomes a version the user can step back to.
+const RefinePanel = ({ isOpen, onClose, era, versions = [], versionIndex = 0, referenceCount = 1, isRefining, refineError, onSend, onCancel, onSelectVersion }) => {
+    const [message, setMessage] = useState('');
+    const [includeOriginal, setIncludeOriginal] = useState(false);
+    const threadEndRef = useRef(null);
+
+    useEffect(() => {
+        threadEndRef.current?.scrollIntoView({ behavior: 'smooth', block: 'end' });
+    }, [versions.length, isRefining, refineError]);
+
+    useEffect(() => {
+        if (!isOpen) setMessage('');
+    }, [isOpen]);
+
+    if (!isOpen || versions.length === 0) return null;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const request = message.trim();
+        if (!request || isRefining) return;
+        onSend(request, includeOriginal);
+        setMessage('');
+    };
+
+    const current = versions[versionIndex] || versions[0];
+    const describeVersion = (index) => (index === 0 ? "Original result" : `Version ${index + 1}`);
+
     return (
-        <div className="fixed top-5 left-1/2 z-50 w-full max-w-md p-4 bg-gray-900 border border-gray-700 text-gray-300 rounded-lg shadow-2xl flex items-center justify-between animate-fade-in-down" style={{ transform: 'translateX(-50%)' }}>
-            <span>{message}</span>
-            <button onClick={onDismiss} className="p-1 rounded-full hover:bg-gray-800 transition-colors ml-4">
-                <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="text-gray-500"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
-            </button>
+        <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4">
+            <motion.div
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                transition={{ duration: 0.2 }}
+                className="bg-gray-900 rounded-2xl p-6 border border-gray-700 shadow-2xl w-full max-w-4xl max-h-[90vh] flex flex-col relative"
+            >
+                <h3 className="text-2xl font-semibold text-white">Refine</h3>
+                <p className="text-sm text-gray-400 mb-4">{era}</p>
+
+                <div className="flex flex-col md:flex-row gap-6 flex-1 min-h-0">
+                    <div className="md:w-1/2 flex-shrink-0">
+                        <img src={current.imageUrl} alt={`${describeVersion(versionIndex)} of ${era}`} className="w-full max-h-[60vh] object-contain rounded-lg bg-black" />
+                        <p className="text-xs text-gray-500 mt-2 text-center">{describeVersion(versionIndex)} of {versions.length}</p>
+                    </div>
+
+                    <div className="flex flex-col flex-1 min-h-0">
+                        <div className="flex-1 overflow-y-auto space-y-3 pr-1 min-h-[12rem]">
+                            {versions.map((version, index) => (
+                                <div key={index} className="space-y-2">
+                                    {version.request && (
+                                        <div className="flex justify-end">
+                                            <p className="max-w-[80%] bg-yellow-400 text-black text-sm rounded-2xl rounded-br-sm px-3 py-2">{version.request}</p>
+                                        </div>
+                                    )}
+                                    <button
+                                        onClick={() => onSelectVersion(index)}
+                                        className={`flex items-center gap-3 p-1.5 pr-3 rounded-xl border-2 transition-colors ${index === versionIndex ? 'border-yellow-400 bg-gray-800' : 'border-transparent bg-gray-800/60 hover:border-gray-600'}`}
+                                    >
+                                        <img src={version.imageUrl} alt="" className="w-14 h-14 rounded-lg object-cover" />
+                                        <span className="text-sm text-gray-300">{describeVersion(index)}</span>
+                                    </button>
+                                </div>
+                            ))}
+                            {isRefining && (
+                                <div className="flex items-center gap-3 p-3 rounded-xl bg-gray-800/60 text-sm text-gray-300">
+                                    <div className="animate-spin rounded-full h-5 w-5 border-t-2 border-b-2 border-yellow-400"></div>
+                                    <span className="flex-1">Refining...</span>
+                                    <button onClick={onCancel} className="text-gray-400 hover:text-white underline">Cancel</button>
+                                </div>
+                            )}
+                            {refineError && !isRefining && (
+                                <p className="text-sm text-red-400">{refineError}</p>
+                            )}
+                            <div ref={threadEndRef}></div>
+                        </div>
+
+                        <form onSubmit={handleSubmit} className="mt-4 space-y-2">
+                            <div className="flex gap-2">
+                                <input
+                                    type="text"
+                                    value={message}
+                                    onChange={(e) => setMessage(e.target.value)}
+                                    placeholder='e.g. "make the lighting warmer" or "remove the hat"'
+                                    disabled={isRefining}
+                                    className="flex-1 bg-gray-800 border border-gray-600 rounded-lg py-2 px-4 focus:outline-none focus:ring-2 focus:ring-yellow-400 text-white disabled:opacity-50"
+                                />
+                                <Button primary disabled={isRefining || !message.trim()}>Send</Button>
+                            </div>
+                            <label className="flex items-center gap-2 text-sm text-gray-400 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={includeOriginal}
+                                    onChange={(e) => setIncludeOriginal(e.target.checked)}
+                                    className="accent-yellow-400"
+                                />
+                                Also send my original photo{referenceCount === 1 ? '' : 's'} to keep the likeness
+                            </label>
+                        </form>
+                    </div>
+                </div>
+
+                <button onClick={onClose} className="absolute top-4 right-4 p-2 rounded-full bg-gray-800/70 text-white hover:bg-gray-700 transition-colors" aria-label="Close">
+                    <IconX />
+                </button>
+            </motion.div>
         </div>
     );
 };
 
-const CameraModal = ({ isOpen, onClose, onCapture }) => {
-    const videoRef = useRef(null);
+// Paint over the part of a result that should change; the rest of the picture is kept pixel for pixel.
+const MaskEditorModal = ({ isOpen, imageUrl, era, isApplying, applyError, onClose, onApply, onCancel }) => {
     const canvasRef = useRef(null);
-    const streamRef = useRef(null);
-    const [capturedImage, setCapturedImage] = useState(null);
-    const [cameraError, setCameraError] = useState(null);
+    const strokeRef = useRef(null);
+    const [imageSize, setImageSize] = useState(null);
+    const [tool, setTool] = useState('brush');
+    const [brushSize, setBrushSize] = useState(DEFAULT_MASK_BRUSH);
+    const [instruction, setInstruction] = useState('');
+    const [localError, setLocalError] = useState(null);
 
-    const stopCamera = useCallback(() => {
-        if (streamRef.current) {
-            streamRef.current.getTracks().forEach(track => track.stop());
-            streamRef.current = null;
-        }
-        if (videoRef.current) {
-            videoRef.current.srcObject = null;
-        }
-    }, []);
+    useEffect(() => {
+        if (!isOpen || !imageUrl) return;
+        let isCancelled = false;
+        setImageSize(null);
+        setTool('brush');
+        setInstruction('');
+        setLocalError(null);
+        loadImage(imageUrl)
+            .then(img => {
+                if (!isCancelled) setImageSize({ width: img.naturalWidth, height: img.naturalHeight });
+            })
+            .catch(() => {
+                if (!isCancelled) setLocalError("This image couldn't be loaded for editing.");
+            });
+        return () => { isCancelled = true; };
+    }, [isOpen, imageUrl]);
 
-    const startCamera = useCallback(async () => {
-        if (videoRef.current) {
-            setCameraError(null);
-            try {
-                // Stop previous stream just in case
-                stopCamera();
-                const stream = await navigator.mediaDevices.getUserMedia({
-                    video: { width: { ideal: 1024 }, height: { ideal: 1024 }, facingMode: 'user' }
-                });
-                videoRef.current.srcObject = stream;
-                streamRef.current = stream;
-            } catch (err) {
-                console.error("Error accessing camera:", err);
-                setCameraError("Camera access denied. Please allow camera access in your browser settings.");
-            }
-        }
-    }, [stopCamera]);
+    if (!isOpen) return null;
 
-    useEffect(() => {
-        if (isOpen && !capturedImage) {
-            // Modal is open and we should be showing the live camera feed
-            startCamera();
+    const getCanvasPoint = (e) => {
+        const canvas = canvasRef.current;
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (canvas.width / rect.width),
+            y: (e.clientY - rect.top) * (canvas.height / rect.height),
+            scale: canvas.width / rect.width,
+        };
+    };
+
+    // The brush size is in screen pixels, so it feels the same however large the result is.
+    const paintTo = (point) => {
+        const ctx = canvasRef.current.getContext('2d');
+        const from = strokeRef.current;
+        ctx.globalCompositeOperation = tool === 'eraser' ? 'destination-out' : 'source-over';
+        ctx.fillStyle = MASK_COLOR;
+        ctx.strokeStyle = MASK_COLOR;
+        ctx.lineWidth = brushSize * point.scale;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        if (from) {
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(point.x, point.y);
+            ctx.stroke();
         } else {
-            // Modal is closed or we are showing a captured image
-            stopCamera();
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, ctx.lineWidth / 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        strokeRef.current = point;
+    };
+
+    const handlePointerDown = (e) => {
+        if (isApplying) return;
+        e.currentTarget.setPointerCapture(e.pointerId);
+        strokeRef.current = null;
+        setLocalError(null);
+        paintTo(getCanvasPoint(e));
+    };
+
+    const handlePointerMove = (e) => {
+        if (!strokeRef.current) return;
+        paintTo(getCanvasPoint(e));
+    };
+
+    const handlePointerUp = () => {
+        strokeRef.current = null;
+    };
+
+    const handleClear = () => {
+        const canvas = canvasRef.current;
+        canvas?.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    };
+
+    const handleApply = () => {
+        const canvas = canvasRef.current;
+        if (!canvas || isMaskEmpty(canvas)) {
+            setLocalError("Paint over the area you want to change first.");
+            return;
+        }
+        if (!instruction.trim()) {
+            setLocalError("Describe what should change in the painted area.");
+            return;
         }
+        setLocalError(null);
+        onApply(canvas.toDataURL('image/png'), instruction.trim());
+    };
+
+    const toolClass = (isActive) => `px-3 py-1.5 rounded-full text-sm font-semibold transition-colors ${isActive ? 'bg-yellow-400 text-black' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`;
+    const message = localError || applyError;
+
+    return (
+        <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4">
+            <motion.div
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                transition={{ duration: 0.2 }}
+                className="bg-gray-900 rounded-2xl p-6 border border-gray-700 shadow-2xl w-full max-w-3xl max-h-[95vh] overflow-y-auto relative"
+            >
+                <h3 className="text-2xl font-semibold text-white">Edit Area</h3>
+                <p className="text-sm text-gray-400 mb-4">{era}: paint over what should change. Everything else stays exactly as it is.</p>
+
+                <div className="flex justify-center bg-black rounded-lg mb-4">
+                    {imageSize ? (
+                        <div className="relative inline-block">
+                            <img src={imageUrl} alt={era} className="block max-w-full max-h-[60vh] select-none" draggable={false} />
+                            <canvas
+                                ref={canvasRef}
+                                width={imageSize.width}
+                                height={imageSize.height}
+                                onPointerDown={handlePointerDown}
+                                onPointerMove={handlePointerMove}
+                                onPointerUp={handlePointerUp}
+                                onPointerCancel={handlePointerUp}
+                                className={`absolute inset-0 w-full h-full opacity-50 touch-none ${isApplying ? 'cursor-wait' : 'cursor-crosshair'}`}
+                            ></canvas>
+                        </div>
+                    ) : (
+                        <div className="h-64 flex items-center justify-center">
+                            {!localError && <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-yellow-400"></div>}
+                        </div>
+                    )}
+                </div>
+
+                <div className="flex flex-wrap items-center gap-3 mb-4">
+                    <button onClick={() => setTool('brush')} className={toolClass(tool === 'brush')}>Brush</button>
+                    <button onClick={() => setTool('eraser')} className={toolClass(tool === 'eraser')}>Eraser</button>
+                    <label className="flex items-center gap-2 text-sm text-gray-400 flex-1 min-w-[10rem]">
+                        Size
+                        <input
+                            type="range"
+                            min={MIN_MASK_BRUSH}
+                            max={MAX_MASK_BRUSH}
+                            value={brushSize}
+                            onChange={(e) => setBrushSize(Number(e.target.value))}
+                            className="flex-1 accent-yellow-400"
+                        />
+                    </label>
+                    <button onClick={handleClear} disabled={isApplying} className="text-sm text-gray-400 hover:text-white underline disabled:opacity-50">Clear mask</button>
+                </div>
+
+                <input
+                    type="text"
+                    value={instruction}
+                    onChange={(e) => setInstruction(e.target.value)}
+                    placeholder='e.g. "fix the hand" or "make the sign say OPEN"'
+                    disabled={isApplying}
+                    className="w-full bg-gray-800 border border-gray-600 rounded-lg py-2 px-4 focus:outline-none focus:ring-2 focus:ring-yellow-400 text-white disabled:opacity-50 mb-3"
+                />
+                {message && <p className="text-sm text-red-400 mb-3">{message}</p>}
+
+                <div className="flex justify-end gap-3">
+                    {isApplying ? (
+                        <>
+                            <div className="flex items-center gap-2 text-sm text-gray-300 mr-auto">
+                                <div className="animate-spin rounded-full h-5 w-5 border-t-2 border-b-2 border-yellow-400"></div>
+                                Editing the painted area...
+                            </div>
+                            <Button onClick={onCancel}>Cancel</Button>
+                        </>
+                    ) : (
+                        <>
+                            <Button onClick={onClose}>Close</Button>
+                            <Button onClick={handleApply} primary disabled={!imageSize}>Apply</Button>
+                        </>
+                    )}
+                </div>
+
+                <button onClick={onClose} className="absolute top-4 right-4 p-2 rounded-full bg-gray-800/70 text-white hover:bg-gray-700 transition-colors" aria-label="Close">
+                    <IconX />
+                </button>
+            </motion.div>
+        </div>
+    );
+};
+
+// Full-screen view of every card in the album, with a before/after split against the main reference photo.
+const Lightbox = ({ isOpen, images, index, beforeImageUrl, onClose, onNavigate, onDownload, onRegenerate }) => {
+    const stageRef = useRef(null);
+    const zoomRef = useRef(null);
+    const swipeRef = useRef(null);
+    const [isComparing, setIsComparing] = useState(false);
+    const [split, setSplit] = useState(50);
+    const [isZoomed, setIsZoomed] = useState(false);
+    const count = images.length;
+    const img = images[index];
+
+    const goTo = useCallback((offset) => {
+        if (count > 1) onNavigate((index + offset + count) % count);
+    }, [count, index, onNavigate]);
+
+    useEffect(() => {
+        setIsZoomed(false);
+    }, [index]);
 
-        // Cleanup on unmount
-        return () => {
-            stopCamera();
+    useEffect(() => {
+        if (!isOpen) return;
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+            else if (e.key === 'ArrowLeft') goTo(-1);
+            else if (e.key === 'ArrowRight') goTo(1);
         };
-    }, [isOpen, capturedImage, startCamera, stopCamera]);
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [isOpen, goTo, onClose]);
 
+    if (!isOpen || !img) return null;
 
-    const handleCapture = () => {
-        if (videoRef.current && canvasRef.current) {
-            const video = videoRef.current;
-            const canvas = canvasRef.current;
-            canvas.width = video.videoWidth;
-            canvas.height = video.videoHeight;
-            const context = canvas.getContext('2d');
-            context.scale(-1, 1); // Flip horizontally for selfie view
-            context.drawImage(video, -canvas.width, 0, canvas.width, canvas.height);
-            const dataUrl = canvas.toDataURL('image/png');
-            setCapturedImage(dataUrl);
-        }
+    const hasImage = img.status === 'success' && !!img.imageUrl;
+    const canCompare = hasImage && !!beforeImageUrl && !isZoomed;
+
+    // Start 100% view on the middle of the picture rather than its top-left corner.
+    const handleZoomedLoad = () => {
+        const container = zoomRef.current;
+        if (!container) return;
+        container.scrollLeft = (container.scrollWidth - container.clientWidth) / 2;
+        container.scrollTop = (container.scrollHeight - container.clientHeight) / 2;
     };
 
-    const handleConfirm = () => {
-        if (capturedImage) {
-            onCapture(capturedImage);
-            onClose();
-        }
+    const moveSplit = (e) => {
+        const rect = stageRef.current.getBoundingClientRect();
+        setSplit(Math.min(100, Math.max(0, ((e.clientX - rect.left) / rect.width) * 100)));
     };
 
-    const handleRetake = () => {
-        setCapturedImage(null); // This will trigger the useEffect to restart the camera
+    const handleSplitPointerDown = (e) => {
+        e.stopPropagation();
+        e.currentTarget.setPointerCapture(e.pointerId);
+        moveSplit(e);
+    };
+
+    const handleSplitPointerMove = (e) => {
+        if (e.currentTarget.hasPointerCapture(e.pointerId)) moveSplit(e);
+    };
+
+    // A horizontal swipe on the picture moves to the neighbour; taps and vertical drags are ignored.
+    const handleStagePointerDown = (e) => {
+        if (isZoomed) return;
+        swipeRef.current = { x: e.clientX, y: e.clientY };
+    };
+
+    const handleStagePointerUp = (e) => {
+        const start = swipeRef.current;
+        swipeRef.current = null;
+        if (!start) return;
+        const dx = e.clientX - start.x;
+        if (Math.abs(dx) > LIGHTBOX_SWIPE_DISTANCE && Math.abs(dx) > Math.abs(e.clientY - start.y)) {
+            goTo(dx < 0 ? 1 : -1);
+        }
     };
 
+    const toolbarButtonClass = (isActive = false) => `px-3 py-1.5 rounded-full text-sm font-semibold transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${isActive ? 'bg-yellow-400 text-black' : 'bg-gray-800 text-gray-200 hover:bg-gray-700'}`;
+    const navButtonClass = "absolute top-1/2 -translate-y-1/2 z-10 p-3 rounded-full bg-black/60 text-white hover:bg-black/80 transition-colors";
+
+    return (
+        <div className="fixed inset-0 bg-black/95 z-50 flex flex-col">
+            <div className="flex flex-wrap items-center gap-2 p-4">
+                <div className="mr-auto">
+                    <p className="text-lg font-semibold text-white">{img.id}</p>
+                    <p className="text-xs text-gray-500">{index + 1} / {count}</p>
+                </div>
+                <button onClick={() => setIsComparing(!isComparing)} disabled={!canCompare} className={toolbarButtonClass(isComparing && canCompare)}>Before / After</button>
+                <button onClick={() => setIsZoomed(!isZoomed)} disabled={!hasImage} className={toolbarButtonClass(isZoomed)}>100%</button>
+                <button onClick={() => onDownload(img.imageUrl, img.id, '1:1')} disabled={!hasImage} className={toolbarButtonClass()}>Square (1:1)</button>
+                <button onClick={() => onDownload(img.imageUrl, img.id, '9:16')} disabled={!hasImage} className={toolbarButtonClass()}>Portrait (9:16)</button>
+                <button onClick={() => onRegenerate(index)} disabled={img.status === 'pending'} className={toolbarButtonClass()}>Regenerate</button>
+                <button onClick={onClose} className="p-2 rounded-full bg-gray-800/70 text-white hover:bg-gray-700 transition-colors" aria-label="Close">
+                    <IconX />
+                </button>
+            </div>
+
+            <div className="relative flex-1 min-h-0 px-4 pb-4">
+                {count > 1 && (
+                    <>
+                        <button onClick={() => goTo(-1)} className={`${navButtonClass} left-6`} aria-label="Previous image"><IconChevronLeft /></button>
+                        <button onClick={() => goTo(1)} className={`${navButtonClass} right-6`} aria-label="Next image"><IconChevronRight /></button>
+                    </>
+                )}
+
+                {!hasImage ? (
+                    <div className="h-full flex flex-col items-center justify-center text-gray-400 gap-4">
+                        {img.status === 'pending' ? (
+                            <>
+                                <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-yellow-400"></div>
+                                <p>Still generating...</p>
+                            </>
+                        ) : (
+                            <p>{img.status === 'cancelled' ? "This one was cancelled." : "This one failed to generate."}</p>
+                        )}
+                    </div>
+                ) : isZoomed ? (
+                    <div ref={zoomRef} className="h-full overflow-auto cursor-zoom-out" onClick={() => setIsZoomed(false)}>
+                        <img src={img.imageUrl} alt={`You in ${img.id}`} onLoad={handleZoomedLoad} className="max-w-none m-auto block" />
+                    </div>
+                ) : (
+                    <div
+                        ref={stageRef}
+                        className="relative h-full select-none touch-pan-y"
+                        onPointerDown={handleStagePointerDown}
+                        onPointerUp={handleStagePointerUp}
+                        onPointerCancel={() => { swipeRef.current = null; }}
+                    >
+                        <img src={img.imageUrl} alt={`You in ${img.id}`} draggable={false} onDoubleClick={() => setIsZoomed(true)} className="absolute inset-0 w-full h-full object-contain cursor-zoom-in" />
+                        {isComparing && canCompare && (
+                            <>
+                                <img
+                                    src={beforeImageUrl}
+                                    alt="Your original photo"
+                                    draggable={false}
+                                    className="absolute inset-0 w-full h-full object-contain pointer-events-none"
+                                    style={{ clipPath: `inset(0 ${100 - split}% 0 0)` }}
+                                />
+                                <div
+                                    className="absolute inset-y-0 w-8 -ml-4 flex justify-center cursor-ew-resize touch-none"
+                                    style={{ left: `${split}%` }}
+                                    onPointerDown={handleSplitPointerDown}
+                                    onPointerMove={handleSplitPointerMove}
+                                    role="slider"
+                                    aria-label="Before and after split"
+                                    aria-valuemin={0}
+                                    aria-valuemax={100}
+                                    aria-valuenow={Math.round(split)}
+                                >
+                                    <div className="w-0.5 h-full bg-yellow-400 shadow-lg"></div>
+                                    <div className="absolute top-1/2 -translate-y-1/2 w-8 h-8 rounded-full bg-yellow-400 text-black text-xs font-bold flex items-center justify-center shadow-lg">⇔</div>
+                                </div>
+                                <span className="absolute top-2 left-2 px-2 py-1 rounded bg-black/60 text-xs text-white pointer-events-none">Before</span>
+                                <span className="absolute top-2 right-2 px-2 py-1 rounded bg-black/60 text-xs text-white pointer-events-none">After</span>
+                            </>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+const HistoryPanel = ({ isOpen, onClose, templates, onOpenSession, onDownloadAlbum, onDownloadImage, isDownloadingAlbum }) => {
+    const [sessions, setSessions] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+
+    const refresh = useCallback(async () => {
+        try {
+            setLoadError(null);
+            setSessions(await listHistorySessions());
+        } catch (err) {
+            console.error("Could not load history:", err);
+            setLoadError("Your history couldn't be loaded in this browser.");
+            setSessions([]);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (isOpen) refresh();
+    }, [isOpen, refresh]);
+
     if (!isOpen) return null;
 
+    const handleDelete = async (id) => {
+        try {
+            await deleteHistorySession(id);
+        } catch (err) {
+            console.error("Could not delete session:", err);
+            setLoadError("That album couldn't be deleted. Please try again.");
+        }
+        refresh();
+    };
+
     return (
         <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4">
-             <motion.div 
+            <motion.div
                 initial={{ opacity: 0, scale: 0.95 }}
                 animate={{ opacity: 1, scale: 1 }}
                 transition={{ duration: 0.2 }}
-                className="bg-gray-900 rounded-2xl p-6 border border-gray-700 shadow-2xl w-full max-w-2xl text-center relative"
-             >
-                <h3 className="text-2xl font-semibold mb-4 text-white">Camera</h3>
-                <div className="aspect-square bg-black rounded-lg overflow-hidden relative mb-4 flex items-center justify-center">
-                    {cameraError ? (
-                        <div className="p-4 text-red-400">{cameraError}</div>
-                    ) : (
-                        <>
-                            {capturedImage ? (
-                                <img src={capturedImage} alt="Captured preview" className="w-full h-full object-cover" />
-                            ) : (
-                                <video ref={videoRef} autoPlay playsInline className="w-full h-full object-cover transform -scale-x-100"></video>
-                            )}
-                        </>
-                    )}
-                </div>
+                className="bg-gray-900 rounded-2xl p-6 border border-gray-700 shadow-2xl w-full max-w-4xl max-h-[90vh] flex flex-col relative"
+            >
+                <h3 className="text-2xl font-semibold mb-4 text-white">History</h3>
+                {loadError && <p className="text-red-400 text-sm mb-4">{loadError}</p>}
 
-                <div className="flex justify-center gap-4">
-                    {capturedImage ? (
-                        <>
-                            <Button onClick={handleRetake}>Retake</Button>
-                            <Button onClick={handleConfirm} primary>Use Photo</Button>
-                        </>
-                    ) : (
-                         <button onClick={handleCapture} disabled={!!cameraError} className="w-20 h-20 rounded-full bg-white border-4 border-gray-600 focus:outline-none focus:ring-4 focus:ring-yellow-400 transition-all hover:border-yellow-400 disabled:opacity-50 disabled:cursor-not-allowed"></button>
+                <div className="overflow-y-auto styled-scrollbar pr-2 space-y-4">
+                    {sessions === null && <p className="text-gray-500">Loading...</p>}
+                    {sessions?.length === 0 && !loadError && (
+                        <p className="text-gray-500">No albums yet. Everything you generate is saved here on this device.</p>
                     )}
+                    {sessions?.map(session => {
+                        const sessionTemplate = templates[session.template];
+                        const successfulImages = session.images.filter(img => img.status === 'success');
+                        return (
+                            <div key={session.id} className="p-4 bg-gray-800/60 border border-gray-700 rounded-xl">
+                                <div className="flex items-start justify-between gap-4 mb-3">
+                                    <div className="flex items-center gap-3">
+                                        <img src={session.sourceImage} alt="Source" className="w-12 h-12 rounded-md object-cover" />
+                                        <div>
+                                            <p className="text-white font-semibold">{sessionTemplate ? `${sessionTemplate.icon} ${sessionTemplate.name}` : session.template}</p>
+                                            <p className="text-xs text-gray-500">{new Date(session.createdAt).toLocaleString()} · {successfulImages.length}/{session.images.length} photos</p>
+                                        </div>
+                                    </div>
+                                    <button
+                                        onClick={() => handleDelete(session.id)}
+                                        className="p-2 rounded-full text-gray-500 hover:bg-gray-700 hover:text-red-400 transition-colors"
+                                        aria-label="Delete album"
+                                    >
+                                        <IconTrash />
+                                    </button>
+                                </div>
+                                <div className="flex gap-2 overflow-x-auto styled-scrollbar pb-2">
+                                    {successfulImages.map((img, index) => (
+                                        <button
+                                            key={`${img.id}-${index}`}
+                                            onClick={() => onDownloadImage(session, img)}
+                                            className="relative group flex-shrink-0"
+                                            title={`Download "${img.id}"`}
+                                        >
+                                            <img src={img.imageUrl} alt={img.id} className="w-20 h-20 rounded-md object-cover" />
+                                            <span className="absolute inset-0 flex items-center justify-center bg-black/60 text-white rounded-md opacity-0 group-hover:opacity-100 transition-opacity">
+                                                <IconDownload />
+                                            </span>
+                                        </button>
+                                    ))}
+                                </div>
+                                <div className="flex flex-wrap gap-3 mt-3">
+                                    <Button onClick={() => onOpenSession(session)} primary className="text-sm px-4">Open</Button>
+                                    <Button onClick={() => onDownloadAlbum(session, '1:1')} disabled={isDownloadingAlbum || successfulImages.length === 0} className="text-sm px-4">Album 1:1</Button>
+                                    <Button onClick={() => onDownloadAlbum(session, '9:16')} disabled={isDownloadingAlbum || successfulImages.length === 0} className="text-sm px-4">Album 9:16</Button>
+                                </div>
+                            </div>
+                        );
+                    })}
                 </div>
-                
+
                 <button onClick={onClose} className="absolute top-4 right-4 p-2 rounded-full bg-gray-800/70 text-white hover:bg-gray-700 transition-colors">
-                    <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-6 h-6"><path strokeLinecap="round" strokeLinejoin="round" d="M6 18 18 6M6 6l12 12" /></svg>
+                    <IconX />
                 </button>
-                <canvas ref={canvasRef} className="hidden"></canvas>
             </motion.div>
         </div>
     );
@@ -559,23 +3706,301 @@ const RadioPill = ({ name, value, label, checked, onChange }) => (
     </label>
 );
 
+const pillClass = (isActive) => `cursor-pointer px-3 py-1.5 text-sm rounded-full transition-colors font-semibold 
+    ${isActive ? 'bg-yellow-400 text-black' : 'bg-gray-800 hover:bg-gray-700 text-gray-300'}`;
+
+const CustomTextInput = ({ label, placeholder, value, onChange }) => (
+    <motion.div
+        initial={{ opacity: 0, y: -10 }}
+        animate={{ opacity: 1, y: 0 }}
+    >
+        <label className="block text-sm font-medium text-gray-400 mb-2">{label || "Your Custom Style"}</label>
+        <input
+            type="text"
+            placeholder={placeholder}
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            className="w-full bg-gray-800 border border-gray-600 rounded-lg py-2 px-4 focus:outline-none focus:ring-2 focus:ring-yellow-400 text-white"
+        />
+    </motion.div>
+);
+
+const ColorsOption = ({ option, colors, onChange }) => {
+    const max = option.max || 2;
+    const addLabels = option.addLabels || ["Add Color"];
+
+    const handleColorChange = (index, newColor) => {
+        const newColors = [...colors];
+        newColors[index] = newColor;
+        onChange(newColors);
+    };
+
+    return (
+        <div>
+            <label className="block text-sm font-medium text-gray-400 mb-3">{option.label}</label>
+            <div className="flex items-center gap-4 flex-wrap">
+                {colors.map((color, index) => (
+                    <motion.div
+                        key={index}
+                        initial={{ opacity: 0, scale: 0.8 }}
+                        animate={{ opacity: 1, scale: 1 }}
+                        className="flex items-center gap-2 p-2 bg-gray-700/50 rounded-lg border border-gray-600"
+                    >
+                        <div className="relative w-10 h-10 rounded-md overflow-hidden" style={{ backgroundColor: color }}>
+                            <input
+                                type="color"
+                                value={color}
+                                onChange={(e) => handleColorChange(index, e.target.value)}
+                                className="absolute inset-0 w-full h-full cursor-pointer opacity-0"
+                            />
+                        </div>
+                        <span className="font-mono text-sm text-gray-300 uppercase">{color}</span>
+                        <button
+                            onClick={() => onChange(colors.filter((_, i) => i !== index))}
+                            className="p-1 rounded-full text-gray-500 hover:bg-gray-600 hover:text-red-400 transition-colors"
+                            aria-label="Remove color"
+                        >
+                            <IconX />
+                        </button>
+                    </motion.div>
+                ))}
+
+                {colors.length < max && (
+                    <button
+                        onClick={() => onChange([...colors, option.defaultColor || '#4a2c20'])}
+                        className="flex items-center justify-center gap-2 h-[68px] px-4 rounded-lg border-2 border-dashed border-gray-600 hover:border-yellow-400 text-gray-400 hover:text-yellow-400 transition-colors bg-gray-700/30"
+                    >
+                        <IconPlus />
+                        <span>{addLabels[Math.min(colors.length, addLabels.length - 1)]}</span>
+                    </button>
+                )}
+            </div>
+            {colors.length > 0 && (
+                 <button onClick={() => onChange([])} className="text-xs text-gray-500 hover:text-white transition-colors mt-3">
+                    Clear all colors
+                </button>
+            )}
+        </div>
+    );
+};
+
+const ChoiceOption = ({ option, values, onOptionChange }) => {
+    const value = values[option.id] ?? '';
+    const customKey = `${option.id}Custom`;
+    return (
+        <>
+            <div>
+                {option.label && <label className="block text-sm font-medium text-gray-400 mb-3">{option.label}</label>}
+                <div className="flex flex-wrap gap-3">
+                    {option.choices.map(choice => (
+                        <RadioPill
+                            key={choice.value}
+                            name={option.id}
+                            value={choice.value}
+                            label={choice.label}
+                            checked={value === choice.value}
+                            onChange={e => {
+                                onOptionChange(option.id, e.target.value);
+                                if (option.allowCustom) onOptionChange(customKey, '');
+                            }}
+                        />
+                    ))}
+                    {option.allowCustom && (
+                        <RadioPill
+                            name={option.id}
+                            value={CUSTOM_CHOICE}
+                            label="Other..."
+                            checked={value === CUSTOM_CHOICE}
+                            onChange={e => onOptionChange(option.id, e.target.value)}
+                        />
+                    )}
+                </div>
+            </div>
+            {option.allowCustom && value === CUSTOM_CHOICE && (
+                <CustomTextInput
+                    label={option.customLabel}
+                    placeholder={option.customPlaceholder}
+                    value={values[customKey] || ''}
+                    onChange={text => onOptionChange(customKey, text)}
+                />
+            )}
+        </>
+    );
+};
+
+// Renders the option schema of a template document (prompt selection, choices, colors).
+const TemplateOptionsPanel = ({ template, values, onOptionChange, selectedPromptIds, onPromptSelect, customPrompt, onCustomPromptChange, isCustomPromptActive }) => {
+    const { promptSelection } = template;
+    if (!promptSelection && template.options.length === 0) return null;
+
+    const totalSelected = selectedPromptIds.length + (isCustomPromptActive ? 1 : 0);
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            transition={{ duration: 0.3 }}
+            className="p-6 border border-gray-700 rounded-xl space-y-6 bg-gray-800/50"
+        >
+            <div className="flex justify-between items-center">
+                <h3 className='text-xl font-semibold text-white'>{template.optionsTitle || `Customize ${template.name}`}</h3>
+                {promptSelection && (
+                    <span className={`text-sm font-bold ${totalSelected >= promptSelection.max ? 'text-yellow-400' : 'text-gray-500'}`}>{totalSelected} / {promptSelection.max}</span>
+                )}
+            </div>
+
+            {promptSelection && (
+                <>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400 mb-3">{promptSelection.label || 'Prompts'} (select up to {promptSelection.max})</label>
+                        <div className="flex flex-wrap gap-3">
+                            {template.prompts.map(prompt => (
+                                <button
+                                    key={prompt.id}
+                                    onClick={() => onPromptSelect(prompt.id)}
+                                    className={pillClass(selectedPromptIds.includes(prompt.id))}
+                                >
+                                    {prompt.id}
+                                </button>
+                            ))}
+                            {promptSelection.allowCustom && (
+                                <button
+                                    onClick={() => onPromptSelect(CUSTOM_CHOICE)}
+                                    className={pillClass(isCustomPromptActive)}
+                                >
+                                    Other...
+                                </button>
+                            )}
+                        </div>
+                    </div>
+
+                    {isCustomPromptActive && (
+                        <CustomTextInput
+                            label={promptSelection.customLabel}
+                            placeholder={promptSelection.customPlaceholder}
+                            value={customPrompt}
+                            onChange={onCustomPromptChange}
+                        />
+                    )}
+                </>
+            )}
+
+            {template.options.map(option => (option.type === 'colors' ? (
+                <ColorsOption
+                    key={option.id}
+                    option={option}
+                    colors={values[option.id] || []}
+                    onChange={colors => onOptionChange(option.id, colors)}
+                />
+            ) : (
+                <ChoiceOption
+                    key={option.id}
+                    option={option}
+                    values={values}
+                    onOptionChange={onOptionChange}
+                />
+            )))}
+        </motion.div>
+    );
+};
+
+// "Advanced" drawer: the instruction each card will send, editable per prompt.
+const InstructionDrawer = ({ template, prompts, options, referenceCount = 1, subjectMode = 'single', overrides, onChange, onReset }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    if (prompts.length === 0) return null;
+
+    const editedCount = prompts.filter(p => overrides[p.id] !== undefined).length;
+
+    return (
+        <div className="mt-6 border border-gray-700 rounded-xl bg-gray-800/30">
+            <button
+                onClick={() => setIsOpen(prev => !prev)}
+                className="w-full flex justify-between items-center px-6 py-4 text-left"
+                aria-expanded={isOpen}
+            >
+                <span className="text-lg font-semibold text-white">Advanced: Model Instructions</span>
+                <span className="text-sm text-gray-400">
+                    {editedCount > 0 && <span className="text-yellow-400 font-semibold mr-3">{editedCount} edited</span>}
+                    {isOpen ? 'Hide' : 'Show'}
+                </span>
+            </button>
+            {isOpen && (
+                <div className="px-6 pb-6 space-y-5">
+                    {template.albumStyle && (
+                        <p className="text-xs text-gray-500">{ALBUM_STYLE_TOKEN} is replaced with the photoshoot style generated when you start.</p>
+                    )}
+                    {prompts.map(p => {
+                        const isEdited = overrides[p.id] !== undefined;
+                        return (
+                            <div key={p.id}>
+                                <div className="flex justify-between items-center mb-2">
+                                    <label className="text-sm font-semibold text-gray-300">
+                                        {p.id}
+                                        {isEdited && <span className="ml-2 text-xs text-yellow-400">edited</span>}
+                                    </label>
+                                    {isEdited && (
+                                        <button onClick={() => onReset(p.id)} className="text-xs text-gray-400 hover:text-yellow-400 transition-colors">Reset</button>
+                                    )}
+                                </div>
+                                <textarea
+                                    rows={4}
+                                    value={isEdited ? overrides[p.id] : getInstructionDraft(template, p, { options, referenceCount, subjectMode })}
+                                    onChange={(e) => onChange(p.id, e.target.value)}
+                                    className="w-full bg-gray-800 border border-gray-600 rounded-lg py-2 px-4 focus:outline-none focus:ring-2 focus:ring-yellow-400 text-white text-sm font-mono resize-y"
+                                />
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
 // UX/UI: Visual Template Selector Card
-const TemplateCard = ({ id, name, icon, description, isSelected, onSelect }) => (
+const TemplateCard = ({ id, name, icon, description, isSelected, onSelect, onEdit }) => (
     <div
         onClick={() => onSelect(id)}
-        className={`cursor-pointer p-5 rounded-xl border-2 transition-all duration-300 transform hover:scale-105 shadow-lg
+        className={`relative cursor-pointer p-5 rounded-xl border-2 transition-all duration-300 transform hover:scale-105 shadow-lg
         ${isSelected ? 'border-yellow-400 bg-yellow-900/20 ring-1 ring-yellow-400' : 'border-gray-700 bg-gray-900 hover:border-gray-600'}`}
     >
+        {onEdit && (
+            <button
+                onClick={(e) => { e.stopPropagation(); onEdit(id); }}
+                className="absolute top-3 right-3 p-2 rounded-full bg-gray-800/70 text-gray-300 hover:bg-gray-700 hover:text-white transition-colors"
+                aria-label={`Edit ${name}`}
+            >
+                <IconPencil />
+            </button>
+        )}
         <div className="text-3xl mb-3">{icon}</div>
         <h3 className="text-lg font-semibold text-white">{name}</h3>
         <p className="text-sm text-gray-400 mt-1">{description}</p>
     </div>
 );
 
+const NewTemplateCard = ({ onClick }) => (
+    <div
+        onClick={onClick}
+        className="cursor-pointer p-5 rounded-xl border-2 border-dashed border-gray-700 hover:border-yellow-400 text-gray-400 hover:text-yellow-400 transition-all duration-300 transform hover:scale-105 flex flex-col items-center justify-center text-center"
+    >
+        <IconPlus />
+        <h3 className="text-lg font-semibold mt-2">Create Theme</h3>
+    </div>
+);
+
 
 const App = () => {
     // Core state
-    const [uploadedImage, setUploadedImage] = useState(null);
+    // Reference photos of the same person; the first one is the main reference. Each keeps its
+    // untouched original next to the edited version that is actually sent.
+    const [references, setReferences] = useState([]);
+    const uploadedImages = useMemo(() => references.map(ref => ref.edited || ref.original), [references]);
+    const uploadedImage = uploadedImages[0] || null;
+    const [editingReferenceIndex, setEditingReferenceIndex] = useState(null);
+    const [isDraggingFile, setIsDraggingFile] = useState(false);
+    const [imageUrlInput, setImageUrlInput] = useState('');
+    const [subjectMode, setSubjectMode] = useState('single');
     const [generatedImages, setGeneratedImages] = useState([]);
     const [isLoading, setIsLoading] = useState(false);
     const [isSettingUp, setIsSettingUp] = useState(false);
@@ -585,279 +4010,493 @@ const App = () => {
     const [isUploading, setIsUploading] = useState(false);
     const [isCameraOpen, setIsCameraOpen] = useState(false);
     const resultsRef = useRef(null);
+    const batchControllerRef = useRef(null);
+    const cardControllersRef = useRef({});
+    const [providerSettings, setProviderSettings] = useState(loadProviderSettings);
+    const variantsPerPrompt = providerSettings.variantsPerPrompt || DEFAULT_PROVIDER_SETTINGS.variantsPerPrompt;
+    const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+    const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+    const [sessionMeta, setSessionMeta] = useState(null);
+    // Results are cropped for the subject mode they were generated with, even if the picker has changed since.
+    const albumSubjectMode = sessionMeta?.options.subjectMode || subjectMode;
+    const [frameOptions, setFrameOptions] = useState(loadFrameOptions);
+    const [refiningImageIndex, setRefiningImageIndex] = useState(null);
+    const [refineState, setRefineState] = useState({ isRefining: false, error: null });
+    const refiningImage = refiningImageIndex !== null ? generatedImages[refiningImageIndex] : null;
+    const [maskEditingIndex, setMaskEditingIndex] = useState(null);
+    const [lightboxIndex, setLightboxIndex] = useState(null);
+    // A card can be opened while one of its unpicked variants is on screen; the lightbox shows that one until it moves on.
+    const [lightboxVariant, setLightboxVariant] = useState(null);
+    const lightboxImages = lightboxVariant === null
+        ? generatedImages
+        : generatedImages.map((img, index) => (index === lightboxIndex && img.variants?.[lightboxVariant] ? { ...img, imageUrl: img.variants[lightboxVariant] } : img));
+    const [maskEditState, setMaskEditState] = useState({ isApplying: false, error: null });
+    const maskEditingImage = maskEditingIndex !== null ? generatedImages[maskEditingIndex] : null;
 
     // Template state
     const [template, setTemplate] = useState(null); // Start with null to encourage selection
     const [currentAlbumStyle, setCurrentAlbumStyle] = useState('');
+    const [fileTemplateDocs, setFileTemplateDocs] = useState([]);
+    const [customTemplateDocs, setCustomTemplateDocs] = useState(loadCustomTemplates);
+    const templates = useMemo(
+        () => buildTemplateRegistry([...BUILT_IN_TEMPLATES, ...fileTemplateDocs, ...customTemplateDocs]),
+        [fileTemplateDocs, customTemplateDocs]
+    );
+    const activeTemplate = template ? templates[template] : null;
+    const [templateEditor, setTemplateEditor] = useState({ isOpen: false, template: null });
+    const templateFileInputRef = useRef(null);
+
+    // Choices for the active template, shaped by its option schema
+    const [templateOptions, setTemplateOptions] = useState({});
+    const [selectedPromptIds, setSelectedPromptIds] = useState([]);
+    const [customPrompt, setCustomPrompt] = useState('');
+    const [isCustomPromptActive, setIsCustomPromptActive] = useState(false);
+    const promptSelection = { selectedPromptIds, customPrompt, isCustomPromptActive };
+    // Hand-edited instruction drafts by prompt id; prompts without an entry use the template's text.
+    const [instructionOverrides, setInstructionOverrides] = useState({});
 
-    // Hair Styler State
-    const [hairColors, setHairColors] = useState([]);
-    const [selectedHairStyles, setSelectedHairStyles] = useState([]);
-    const [customHairStyle, setCustomHairStyle] = useState('');
-    const [isCustomHairActive, setIsCustomHairActive] = useState(false);
-
-    // Style Lookbook State
-    const [lookbookStyle, setLookbookStyle] = useState('');
-    const [customLookbookStyle, setCustomLookbookStyle] = useState('');
+    useEffect(() => {
+        let isCancelled = false;
+        loadTemplateDocuments()
+            .then(docs => {
+                if (!isCancelled && docs.length > 0) {
+                    setFileTemplateDocs(docs);
+                }
+            })
+            .catch(err => console.info("No extra templates loaded:", err.message));
+        return () => { isCancelled = true; };
+    }, []);
 
-    // Headshot-specific state
-    const [headshotExpression, setHeadshotExpression] = useState('Friendly Smile');
-    const [headshotPose, setHeadshotPose] = useState('Forward');
+    const handleOptionChange = (optionId, value) => {
+        setTemplateOptions(prev => ({ ...prev, [optionId]: value }));
+    };
 
-    const handleColorChange = (index, newColor) => {
-        setHairColors(prev => {
-            const newColors = [...prev];
-            newColors[index] = newColor;
-            return newColors;
+    const handlePromptSelect = (promptId) => {
+        const max = activeTemplate.promptSelection.max;
+        const limitMessage = `You can select a maximum of ${max} styles.`;
+        if (promptId === CUSTOM_CHOICE) {
+            setIsCustomPromptActive(prev => {
+                const isActivating = !prev;
+                // Check limit only when activating
+                if (isActivating && selectedPromptIds.length >= max) {
+                    setError(limitMessage);
+                    return prev; // cancel activation
+                }
+                if (!isActivating) setCustomPrompt(''); // Clear text on deactivation
+                return isActivating;
+            });
+            return;
+        }
+    
+        setSelectedPromptIds(prev => {
+            const isSelected = prev.includes(promptId);
+            // Calculate total based on what's currently selected in state
+            const totalSelected = prev.length + (isCustomPromptActive ? 1 : 0);
+            
+            if (isSelected) {
+                // Always allow deselection
+                return prev.filter(s => s !== promptId);
+            }
+            
+            // Only allow selection if not exceeding the limit
+            if (totalSelected < max) {
+                return [...prev, promptId];
+            }
+            
+            setError(limitMessage);
+            return prev; // Return current state if limit is reached
         });
     };
 
-    const addHairColor = () => {
-        if (hairColors.length < 2) {
-            // Start with a common hair color for better UX than white
-            setHairColors(prev => [...prev, '#4a2c20']);
+    // Every finished album is written to history; later regenerations update the same entry.
+    useEffect(() => {
+        if (!sessionMeta || generatedImages.length === 0) return;
+        if (generatedImages.some(img => img.status === 'pending')) return;
+        saveHistorySession({
+            ...sessionMeta,
+            updatedAt: Date.now(),
+            images: generatedImages.map(({ id, status, imageUrl, instruction, variants, selectedVariant, versions, versionIndex }) => ({
+                id, status, imageUrl, instruction, variants, selectedVariant, versions, versionIndex,
+            })),
+        }).catch(err => console.warn("Could not save this album to history:", err));
+    }, [generatedImages, sessionMeta]);
+
+    // Each card in flight owns an AbortController. Results from a controller that is no longer
+    // registered for its card (cancelled batch, Start Over, newer regeneration) are dropped.
+    const startCardRequest = (imageIndex, parentSignal) => {
+        cardControllersRef.current[imageIndex]?.abort();
+        const controller = new AbortController();
+        cardControllersRef.current[imageIndex] = controller;
+        parentSignal?.addEventListener('abort', () => controller.abort(), { once: true });
+        return controller;
+    };
+
+    // `changes` may be a function of the card for updates that depend on its latest state.
+    const finishCardRequest = (imageIndex, controller, changes) => {
+        if (cardControllersRef.current[imageIndex] !== controller) return;
+        delete cardControllersRef.current[imageIndex];
+        setGeneratedImages(prev => prev.map((img, index) =>
+            index === imageIndex ? { ...img, ...(typeof changes === 'function' ? changes(img) : changes) } : img
+        ));
+    };
+
+    const cancelCard = (imageIndex) => {
+        cardControllersRef.current[imageIndex]?.abort();
+    };
+
+    const cancelBatch = () => {
+        batchControllerRef.current?.abort();
+        Object.values(cardControllersRef.current).forEach(controller => controller.abort());
+    };
+
+    const abortAllRequests = () => {
+        cancelBatch();
+        batchControllerRef.current = null;
+        cardControllersRef.current = {};
+    };
+
+    // Keep the unmount cleanup in a ref so it always aborts through the latest abortAllRequests.
+    const abortAllRequestsRef = useRef(abortAllRequests);
+    abortAllRequestsRef.current = abortAllRequests;
+    useEffect(() => () => abortAllRequestsRef.current(), []);
+
+    const regenerateImageAtIndex = async (imageIndex) => {
+        const imageToRegenerate = generatedImages[imageIndex];
+        if (!imageToRegenerate) return;
+    
+        const controller = startCardRequest(imageIndex);
+        setGeneratedImages(prev => prev.map((img, index) =>
+            index === imageIndex ? { ...img, status: 'pending', error: null } : img
+        ));
+        setError(null);
+    
+        // Cards keep the instruction they were generated with, including any edits from the Advanced drawer.
+        const prompt = imageToRegenerate.instruction
+            ? { id: imageToRegenerate.id }
+            : getPromptsForGeneration(activeTemplate, promptSelection)[imageIndex];
+        if (!prompt) {
+            setError("Could not find the prompt to regenerate.");
+            finishCardRequest(imageIndex, controller, { status: 'failed' });
+            return;
+        }
+    
+        try {
+            let modelInstruction = imageToRegenerate.instruction;
+            if (!modelInstruction) {
+                if (activeTemplate.albumStyle && !currentAlbumStyle) {
+                    throw new Error("Cannot regenerate without an album style. Please start over.");
+                }
+                const validationError = validateTemplateSelection(activeTemplate, templateOptions, promptSelection);
+                if (validationError) {
+                    throw new Error(validationError);
+                }
+                modelInstruction = getModelInstruction(activeTemplate, prompt, {
+                    options: templateOptions,
+                    albumStyle: currentAlbumStyle,
+                    referenceCount: uploadedImages.length,
+                    subjectMode,
+                });
+            }
+    
+            const payload = buildImagePayload(modelInstruction, uploadedImages);
+    
+            const variants = await generateImageVariants(payload, variantsPerPrompt, providerSettings, controller.signal);
+    
+            finishCardRequest(imageIndex, controller, { status: 'success', imageUrl: variants[0], variants, selectedVariant: 0, versions: null, versionIndex: 0, error: null, instruction: modelInstruction });
+    
+        } catch (err) {
+            if (isAbortError(err)) {
+                finishCardRequest(imageIndex, controller, { status: 'cancelled' });
+                return;
+            }
+            console.error(`Regeneration failed for ${prompt.id}:`, err);
+            const generationError = describeGenerationError(err);
+            if (cardControllersRef.current[imageIndex] === controller) {
+                setError(`Oops! Regeneration for "${prompt.id}" failed: ${generationError.title}.`);
+            }
+            finishCardRequest(imageIndex, controller, { status: 'failed', error: generationError });
+        }
+    };
+    
+    // Follow-ups build on the version currently shown.
+    const refineImageAtIndex = async (imageIndex, request, includeOriginal) => {
+        const card = generatedImages[imageIndex];
+        if (!card?.imageUrl) return;
+
+        const controller = startCardRequest(imageIndex);
+        setRefineState({ isRefining: true, error: null });
+        try {
+            const payload = buildRefinePayload(request, card.imageUrl, includeOriginal ? uploadedImages : []);
+            const imageUrl = await generateImageWithRetry(payload, providerSettings, controller.signal);
+            finishCardRequest(imageIndex, controller, (img) => addCardVersion(img, imageUrl, request));
+            setRefineState({ isRefining: false, error: null });
+        } catch (err) {
+            if (cardControllersRef.current[imageIndex] === controller) {
+                delete cardControllersRef.current[imageIndex];
+            }
+            if (isAbortError(err)) {
+                setRefineState({ isRefining: false, error: null });
+                return;
+            }
+            console.error(`Refinement failed for ${card.id}:`, err);
+            const generationError = describeGenerationError(err);
+            setRefineState({ isRefining: false, error: `${generationError.title}: ${generationError.detail}` });
+        }
+    };
+
+    const handleSelectVersion = (imageIndex, versionIndex) => {
+        setGeneratedImages(prev => prev.map((img, index) =>
+            index === imageIndex && img.versions?.[versionIndex]
+                ? { ...img, imageUrl: img.versions[versionIndex].imageUrl, versionIndex }
+                : img
+        ));
+    };
+
+    const applyMaskedEdit = async (imageIndex, maskUrl, instruction) => {
+        const card = generatedImages[imageIndex];
+        if (!card?.imageUrl) return;
+
+        const controller = startCardRequest(imageIndex);
+        setMaskEditState({ isApplying: true, error: null });
+        try {
+            const payload = buildInpaintPayload(instruction, card.imageUrl, await toModelMask(maskUrl));
+            const editedUrl = await generateImageWithRetry(payload, providerSettings, controller.signal);
+            const imageUrl = await compositeMaskedEdit(card.imageUrl, editedUrl, maskUrl);
+            if (controller.signal.aborted) throw createAbortError();
+            finishCardRequest(imageIndex, controller, (img) => addCardVersion(img, imageUrl, `Edit area: ${instruction}`));
+            setMaskEditState({ isApplying: false, error: null });
+            setMaskEditingIndex(null);
+        } catch (err) {
+            if (cardControllersRef.current[imageIndex] === controller) {
+                delete cardControllersRef.current[imageIndex];
+            }
+            if (isAbortError(err)) {
+                setMaskEditState({ isApplying: false, error: null });
+                return;
+            }
+            console.error(`Area edit failed for ${card.id}:`, err);
+            const generationError = describeGenerationError(err);
+            setMaskEditState({ isApplying: false, error: `${generationError.title}: ${generationError.detail}` });
+        }
+    };
+
+    // The refine panel and the area editor belong to one finished card; close them once that card is regenerated or replaced.
+    // The lightbox follows a card through regeneration but closes when the album is cleared.
+    useEffect(() => {
+        if (refiningImageIndex !== null && generatedImages[refiningImageIndex]?.status !== 'success') {
+            setRefiningImageIndex(null);
+            setRefineState({ isRefining: false, error: null });
+        }
+        if (maskEditingIndex !== null && generatedImages[maskEditingIndex]?.status !== 'success') {
+            setMaskEditingIndex(null);
+            setMaskEditState({ isApplying: false, error: null });
         }
+        if (lightboxIndex !== null && !generatedImages[lightboxIndex]) {
+            setLightboxIndex(null);
+        }
+    }, [generatedImages, refiningImageIndex, maskEditingIndex, lightboxIndex]);
+
+    const closeMaskEditor = () => {
+        if (maskEditState.isApplying) cancelCard(maskEditingIndex);
+        setMaskEditingIndex(null);
+        setMaskEditState({ isApplying: false, error: null });
     };
 
-    const removeHairColor = (index) => {
-        setHairColors(prev => prev.filter((_, i) => i !== index));
+    const closeRefinePanel = () => {
+        if (refineState.isRefining) cancelCard(refiningImageIndex);
+        setRefiningImageIndex(null);
+        setRefineState({ isRefining: false, error: null });
     };
 
-    const handleHairStyleSelect = (styleId) => {
-        if (styleId === 'Other') {
-            setIsCustomHairActive(prev => {
-                const isActivating = !prev;
-                // Check limit only when activating
-                if (isActivating && selectedHairStyles.length >= 6) {
-                    setError("You can select a maximum of 6 styles.");
-                    return prev; // cancel activation
-                }
-                if (!isActivating) setCustomHairStyle(''); // Clear text on deactivation
-                return isActivating;
-            });
-            return;
-        }
-    
-        setSelectedHairStyles(prev => {
-            const isSelected = prev.includes(styleId);
-            // Calculate total based on what's currently selected in state
-            const totalSelected = prev.length + (isCustomHairActive ? 1 : 0);
-            
-            if (isSelected) {
-                // Always allow deselection
-                return prev.filter(s => s !== styleId);
+    // Worked out from the latest references, since a drop can land while a paste is still decoding.
+    // New photos go after the main one, so an album made from it is kept.
+    const addReferenceImages = (dataUrls) => {
+        setReferences(prev => {
+            const room = MAX_REFERENCE_PHOTOS - prev.length;
+            if (room <= 0) {
+                setError(`You can add up to ${MAX_REFERENCE_PHOTOS} reference photos.`);
+                return prev;
             }
-            
-            // Only allow selection if not exceeding the limit
-            if (totalSelected < 6) {
-                return [...prev, styleId];
+            if (dataUrls.length > room) {
+                setError(`Only ${room} more photo${room === 1 ? ' was' : 's were'} added. You can use up to ${MAX_REFERENCE_PHOTOS} reference photos.`);
             }
-            
-            setError("You can select a maximum of 6 styles.");
-            return prev; // Return current state if limit is reached
+            if (prev.length === 0) setGeneratedImages([]);
+            setEditingReferenceIndex(prev.length); // Straight into the editor for the first new photo
+            return [...prev, ...dataUrls.slice(0, room).map(original => ({ original, edited: null, edit: null }))];
         });
     };
 
-    // Template Definitions (Enhanced with icons and descriptions)
-    const templates = useMemo(() => ({
-        decades: {
-            name: 'Time Traveler',
-            description: 'See yourself through the decades.',
-            icon: '⏳',
-            isPolaroid: true,
-            prompts: [
-                { id: '1950s', base: 'A 1950s style portrait.' },
-                { id: '1960s', base: 'A 1960s style portrait.' },
-                { id: '1970s', base: 'A 1970s style portrait.' },
-                { id: '1980s', base: 'An 1980s style portrait.' },
-                { id: '1990s', base: 'A 1990s style portrait.' },
-                { id: '2000s', base: 'A 2000s style portrait.' },
-            ]
-        },
-        styleLookbook: {
-            name: "Style Lookbook",
-            description: "Your personal fashion photoshoot.",
-            icon: '👗',
-            isPolaroid: false,
-            styles: [
-                'Classic / Casual', 'Streetwear', 'Vintage', 'Goth', 'Preppy', 'Minimalist', 
-                'Athleisure', 'Old Money / Quiet Luxury', 'Bohemian (Boho)', 'Business Casual', 
-                '90s Grunge', 'Cocktail / Formal'
-            ],
-            prompts: [
-                { id: 'Look 1', base: 'a full-body shot, standing' },
-                { id: 'Look 2', base: 'a half-body shot, smiling' },
-                { id: 'Look 3', base: 'a candid walking shot' },
-                { id: 'Look 4', base: 'a shot showing off outfit details' },
-                { id: 'Look 5', base: 'a seated pose' },
-                { id: 'Look 6', base: 'a close-up shot focusing on accessories' },
-            ]
-        },
-        eightiesMall: {
-            name: "'80s Mall Shoot",
-            description: "Totally tubular 1980s portraits.",
-            icon: '📼',
-            isPolaroid: false,
-            prompts: [
-                { id: 'Smiling', base: 'a friendly, smiling pose' },
-                { id: 'Thoughtful', base: 'a thoughtful, looking away from the camera pose' },
-                { id: 'Fun', base: 'a fun, laughing pose' },
-                { id: 'Serious', base: 'a serious, dramatic pose' },
-                { id: 'Hand on Chin', base: 'posing with their hand on their chin' },
-                { id: 'Over the Shoulder', base: 'looking back over their shoulder' },
-            ]
-        },
-        figurines: {
-            name: 'Miniature Me',
-            description: 'Your own collectible figurines.',
-            icon: '🧍‍♂️',
-            isPolaroid: false,
-            prompts: [
-                { id: 'Bobblehead', base: 'A realistic bobblehead figure of the person with an oversized head, displayed on a polished wooden desk next to a computer keyboard.' },
-                { id: 'Porcelain Figurine', base: 'A delicate souvenir porcelain figurine of the person, painted with glossy colors, sitting on a lace doily on a vintage dresser.' },
-                { id: 'Retro Action Figure', base: 'A retro 1980s-style action figure of the person, complete with articulated joints and slightly worn paint, posed in a dynamic stance on a rocky diorama base.' },
-                { id: 'Vinyl Figure', base: 'A stylized collectible vinyl art toy of the person with minimalist features, standing on a shelf filled with other similar toys.' },
-                { id: 'Plushy Figure', base: 'A soft, cute plushy figure of the person with detailed fabric texture and stitching, sitting on a neatly made bed.' },
-                { id: 'Wooden Folk Art', base: 'A hand-carved wooden folk art figure of the person, painted with rustic, charming details, standing on a simple wooden block on a craft fair table.' },
-            ]
-        },
-        hairStyler: {
-            name: 'Hair Styler',
-            description: 'Try on new hairstyles and colors.',
-            icon: '💇‍♀️',
-            isPolaroid: false,
-            prompts: [
-                { id: 'Short', base: 'a short hairstyle' },
-                { id: 'Medium', base: 'a medium-length hairstyle' },
-                { id: 'Long', base: 'a long hairstyle' },
-                { id: 'Straight', base: 'straight hair' },
-                { id: 'Wavy', base: 'wavy hair' },
-                { id: 'Curly', base: 'curly hair' },
-            ]
-        },
-        impossibleSelfies: {
-            name: 'Impossible Pics',
-            description: 'Photos that defy reality.',
-            icon: '🚀',
-            isPolaroid: false,
-            prompts: [
-                { id: 'With Lincoln', base: 'The person posing with Abraham Lincoln, who is also making a peace sign and sticking his tongue out. Keep the original location.' },
-                { id: 'Alien & Bubbles', base: 'The person posing next to a realistic alien holding two bubble guns, blowing thousands of bubbles. Keep the person\'s pose and the original location.' },
-                { id: 'Room of Puppies', base: 'The person posing in a room filled with a hundred different puppies.' },
-                { id: 'Singing Puppets', base: 'The person posing in a room full of large, whimsical, brightly colored felt puppets that are singing.' },
-                { id: 'Giant Chicken Tender', base: 'The person posing with their arm around a 4-foot-tall chicken tender. Keep the person\'s facial expression exactly the same.' },
-                { id: 'Yeti Photobomb', base: 'Add a realistic yeti standing next to the person on the left side of the photo, matching the lighting. Keep the person\'s pose and face exactly the same.' },
-            ]
-        },
-        headshots: {
-            name: "Pro Headshots",
-            description: "Professional profile pictures.",
-            icon: '💼',
-            isPolaroid: false,
-            prompts: [
-                { id: 'Business Suit', base: 'wearing a dark business suit with a crisp white shirt' },
-                { id: 'Smart Casual', base: 'wearing a smart-casual knit sweater over a collared shirt' },
-                { id: 'Creative Pro', base: 'wearing a dark turtleneck' },
-                { id: 'Corporate Look', base: 'wearing a light blue button-down shirt' },
-                { id: 'Bright & Modern', base: 'wearing a colorful blazer' },
-                { id: 'Relaxed', base: 'wearing a simple, high-quality t-shirt under a casual jacket' },
-            ]
-        },
-    }), []);
+    const reportUploadError = (err) => {
+        console.error("Error during image upload:", err);
+        setError(err instanceof UploadError ? err.message : "That image couldn't be processed. Please try another file.");
+    };
 
-    const regenerateImageAtIndex = async (imageIndex) => {
-        const imageToRegenerate = generatedImages[imageIndex];
-        if (!imageToRegenerate) return;
-    
-        setGeneratedImages(prev => prev.map((img, index) =>
-            index === imageIndex ? { ...img, status: 'pending' } : img
-        ));
+    // Shared by the file picker, drag and drop, and paste.
+    const addImageFiles = async (files) => {
+        if (files.length === 0) return;
+        setIsUploading(true);
         setError(null);
-    
-        const activeTemplate = templates[template];
-        let promptsForGeneration;
-        if (template === 'hairStyler') {
-            const selectedPrompts = activeTemplate.prompts.filter(p => selectedHairStyles.includes(p.id));
-            if (isCustomHairActive && customHairStyle.trim() !== '') {
-                selectedPrompts.push({ id: customHairStyle, base: customHairStyle });
+        try {
+            // One at a time: decoding several full-size phone photos at once can exhaust memory on mobile.
+            const normalizedImages = [];
+            for (const file of files) {
+                if (!isImageFile(file)) {
+                    throw new UploadError(`"${file.name}" isn't an image. Please use a PNG, JPEG, WebP or HEIC photo.`);
+                }
+                normalizedImages.push(await normalizeUploadedImage(file, { maxEdge: providerSettings.maxImageEdge }));
             }
-            promptsForGeneration = selectedPrompts;
-        } else {
-            promptsForGeneration = activeTemplate.prompts;
+            addReferenceImages(normalizedImages);
+        } catch (err) {
+            reportUploadError(err);
+        } finally {
+            setIsUploading(false);
         }
-    
-        const prompt = promptsForGeneration[imageIndex];
-        if (!prompt) {
-            setError("Could not find the prompt to regenerate.");
-            setGeneratedImages(prev => prev.map((img, index) => index === imageIndex ? { ...img, status: 'failed' } : img));
+    };
+
+    const handleImageUpload = (event) => {
+        const files = Array.from(event.target.files || []);
+        event.target.value = ''; // Allow picking the same file again after removing it
+        addImageFiles(files);
+    };
+
+    const handleImageUrlImport = async (url) => {
+        if (isLoading || isSettingUp || isUploading) return;
+        setIsUploading(true);
+        setError(null);
+        try {
+            const blob = await fetchImageFromUrl(url.trim());
+            addReferenceImages([await normalizeUploadedImage(blob, { maxEdge: providerSettings.maxImageEdge })]);
+            setImageUrlInput('');
+        } catch (err) {
+            reportUploadError(err);
+        } finally {
+            setIsUploading(false);
+        }
+    };
+
+    // Like paste, a drop is ignored while an album is generating.
+    const handleImageDrop = (event) => {
+        event.preventDefault();
+        setIsDraggingFile(false);
+        if (isLoading || isSettingUp || isUploading) return;
+        const files = Array.from(event.dataTransfer.files || []);
+        if (files.length > 0) {
+            addImageFiles(files);
             return;
         }
-    
+        // Images dragged from another browser tab arrive as a link
+        const url = event.dataTransfer.getData('text/uri-list') || event.dataTransfer.getData('text/plain');
+        if (url) {
+            handleImageUrlImport(url.split('\n')[0]);
+        }
+    };
+
+    // Ctrl/Cmd+V anywhere: image data is added directly, a pasted link is imported.
+    // Text pasted into form fields is left alone, and nothing is replaced while an album is generating.
+    const handlePaste = (event) => {
+        if (isLoading || isSettingUp || isUploading) return;
+        const files = Array.from(event.clipboardData?.files || []).filter(isImageFile);
+        if (files.length > 0) {
+            event.preventDefault();
+            addImageFiles(files);
+            return;
+        }
+        if (event.target.closest?.('input, textarea, [contenteditable="true"]')) return;
+        const text = event.clipboardData?.getData('text/plain')?.trim();
+        if (text && /^https?:\/\/\S+$/i.test(text)) {
+            event.preventDefault();
+            handleImageUrlImport(text);
+        }
+    };
+
+    const pasteHandlerRef = useRef(handlePaste);
+    pasteHandlerRef.current = handlePaste;
+    useEffect(() => {
+        const onPaste = (event) => pasteHandlerRef.current(event);
+        document.addEventListener('paste', onPaste);
+        return () => document.removeEventListener('paste', onPaste);
+    }, []);
+
+    const handleRemoveReference = (index) => {
+        setReferences(prev => prev.filter((_, i) => i !== index));
+        setGeneratedImages([]);
+    };
+
+    const handleApplyPhotoEdit = async (index, edit) => {
+        const reference = references[index];
+        if (!reference) return;
         try {
-            if (template === 'eightiesMall' && !currentAlbumStyle) {
-                throw new Error("Cannot regenerate without an album style. Please start over.");
-            }
-            if (template === 'styleLookbook' && (lookbookStyle === '' || (lookbookStyle === 'Other' && customLookbookStyle.trim() === ''))) {
-                throw new Error("Please choose or enter a fashion style for your lookbook!");
-            }
-            if (template === 'hairStyler' && (selectedHairStyles.length === 0 && (!isCustomHairActive || customHairStyle.trim() === ''))) {
-                throw new Error("Please select at least one hairstyle to generate!");
-            }
-    
-            const imageWithoutPrefix = uploadedImage.split(',')[1];
-            const modelInstruction = getModelInstruction(template, prompt, {
-                headshotExpression, headshotPose,
-                currentAlbumStyle,
-                lookbookStyle, customLookbookStyle,
-                hairColors,
+            const edited = await renderPhotoEdit(reference.original, edit, {
+                maxEdge: providerSettings.maxImageEdge,
+                mimeType: parseDataUrl(reference.original).mimeType,
             });
-            
-            const payload = {
-                contents: [{
-                    parts: [
-                        { text: modelInstruction },
-                        { inlineData: { mimeType: "image/png", data: imageWithoutPrefix } }
-                    ]
-                }],
-            };
-    
-            const imageUrl = await generateImageWithRetry(payload);
-    
-            setGeneratedImages(prev => prev.map((img, index) =>
-                index === imageIndex ? { ...img, status: 'success', imageUrl } : img
-            ));
-    
+            setReferences(prev => prev.map((ref, i) => (i === index ? { ...ref, edited, edit } : ref)));
+            setGeneratedImages([]);
         } catch (err) {
-            console.error(`Regeneration failed for ${prompt.id}:`, err);
-            setError(`Oops! Regeneration for "${prompt.id}" failed. Please try again.`);
-            setGeneratedImages(prev => prev.map((img, index) =>
-                index === imageIndex ? { ...img, status: 'failed' } : img
-            ));
+            console.error("Could not apply the photo edit:", err);
+            setError("Sorry, that edit couldn't be applied. Please try again.");
         }
     };
+
+    const handleResetPhotoEdit = (index) => {
+        if (!references[index]?.edited) return; // Already the original; existing results still match it
+        setReferences(prev => prev.map((ref, i) => (i === index ? { ...ref, edited: null, edit: null } : ref)));
+        setGeneratedImages([]);
+    };
+
+    const handleMoveReference = (index, direction) => {
+        const target = index + direction;
+        if (target < 0 || target >= references.length) return;
+        setReferences(prev => {
+            const next = [...prev];
+            [next[index], next[target]] = [next[target], next[index]];
+            return next;
+        });
+        // The first photo drives composition and the before/after view, so results made from another one no longer fit.
+        if (index === 0 || target === 0) setGeneratedImages([]);
+    };
     
-    const handleImageUpload = async (event) => {
-        const file = event.target.files[0];
-        if (file) {
-            setIsUploading(true);
-            setError(null);
-            try {
-                const base64Image = await toBase64(file);
-                setUploadedImage(base64Image);
-                setGeneratedImages([]); 
-            } catch (err) {
-                console.error("Error during image upload:", err);
-                setError("That image couldn't be processed. Please try another file.");
-            } finally {
-                setIsUploading(false);
-            }
+    // The picked variant becomes the card's imageUrl, which is what downloads and the album use.
+    // Once a card has refinements its variant strip is hidden, so picking one never discards that history.
+    const handleSelectVariant = (imageIndex, variantIndex) => {
+        setGeneratedImages(prev => prev.map((img, index) =>
+            index === imageIndex && img.variants?.[variantIndex]
+                ? { ...img, imageUrl: img.variants[variantIndex], selectedVariant: variantIndex }
+                : img
+        ));
+    };
+
+    const updateFrameOptions = (changes) => {
+        setFrameOptions(prev => {
+            const next = { ...prev, ...changes };
+            saveFrameOptions(next);
+            return next;
+        });
+    };
+
+    const handleSettingsSave = (settings) => {
+        try {
+            saveProviderSettings(settings);
+        } catch (err) {
+            console.error("Could not save settings:", err);
+            setError("Your settings couldn't be saved in this browser. They'll apply until you reload.");
         }
+        setProviderSettings(settings);
     };
-    
-    const handleCaptureConfirm = (imageDataUrl) => {
-        setUploadedImage(imageDataUrl);
-        setGeneratedImages([]);
+
+    const handleCaptureConfirm = async (imageDataUrl) => {
         setError(null);
+        try {
+            const { mimeType, data } = parseDataUrl(imageDataUrl);
+            const normalized = await normalizeUploadedImage(base64ToBlob(data, mimeType), {
+                maxEdge: providerSettings.maxImageEdge,
+                outputType: 'image/jpeg',
+            });
+            addReferenceImages([normalized]);
+        } catch (err) {
+            console.error("Error processing the captured photo:", err);
+            setError("The captured photo couldn't be processed. Please try again.");
+        }
     };
 
     const handleGenerateClick = async () => {
@@ -871,19 +4510,17 @@ const App = () => {
             return;
         }
         
-        if (template === 'styleLookbook' && (lookbookStyle === '' || (lookbookStyle === 'Other' && customLookbookStyle.trim() === ''))) {
-            setError("Please choose or enter a fashion style for your lookbook!");
-            return;
-        }
-        if (template === 'hairStyler' && selectedHairStyles.length === 0 && (!isCustomHairActive || customHairStyle.trim() === '')) {
-            setError("Please select at least one hairstyle to generate!");
-            return;
-        }
-        if (template === 'hairStyler' && isCustomHairActive && customHairStyle.trim() === '') {
-            setError("Please enter your custom hairstyle or deselect 'Other...'");
+        const validationError = validateTemplateSelection(activeTemplate, templateOptions, promptSelection);
+        if (validationError) {
+            setError(validationError);
             return;
         }
 
+        abortAllRequests();
+        const batchController = new AbortController();
+        batchControllerRef.current = batchController;
+        const isCurrentBatch = () => batchControllerRef.current === batchController;
+
         setIsLoading(true);
         setError(null);
         setGeneratedImages([]);
@@ -892,14 +4529,11 @@ const App = () => {
             resultsRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
         }, 100);
 
-        const imageWithoutPrefix = uploadedImage.split(',')[1];
-        const activeTemplate = templates[template];
-
         let dynamicStyleForAlbum = '';
-        if (template === 'eightiesMall') {
+        if (activeTemplate.albumStyle) {
             setIsSettingUp(true);
             try {
-                dynamicStyleForAlbum = await generateDynamicPrompt("A specific, creative, and detailed style for an 80s mall portrait studio photoshoot.");
+                dynamicStyleForAlbum = await generateDynamicPrompt(activeTemplate.albumStyle.brief, providerSettings, batchController.signal);
                 setCurrentAlbumStyle(dynamicStyleForAlbum);
             } catch(e) {
                 setError("We couldn't generate a photoshoot style. Please try again.");
@@ -907,22 +4541,19 @@ const App = () => {
                 setIsSettingUp(false);
                 return;
             }
+            if (batchController.signal.aborted) {
+                if (isCurrentBatch()) {
+                    setIsLoading(false);
+                    setIsSettingUp(false);
+                }
+                return;
+            }
             setIsSettingUp(false);
         } else {
             setCurrentAlbumStyle(''); 
         }
 
-        let promptsForGeneration;
-        if (template === 'hairStyler') {
-            const selectedPrompts = activeTemplate.prompts.filter(p => selectedHairStyles.includes(p.id));
-            if (isCustomHairActive && customHairStyle.trim() !== '') {
-                selectedPrompts.push({ id: customHairStyle, base: customHairStyle });
-            }
-            promptsForGeneration = selectedPrompts;
-        } else {
-            promptsForGeneration = activeTemplate.prompts;
-        }
-
+        const promptsForGeneration = getPromptsForGeneration(activeTemplate, promptSelection);
 
         if (!promptsForGeneration || promptsForGeneration.length === 0) {
             setError("There was an issue preparing the creative ideas. Please try again.");
@@ -934,43 +4565,59 @@ const App = () => {
             id: p.id,
             status: 'pending',
             imageUrl: null,
+            error: null,
+            instruction: instructionOverrides[p.id] !== undefined
+                ? finalizeInstruction(instructionOverrides[p.id], dynamicStyleForAlbum)
+                : getModelInstruction(activeTemplate, p, {
+                    options: templateOptions,
+                    albumStyle: dynamicStyleForAlbum,
+                    referenceCount: uploadedImages.length,
+                    subjectMode,
+                }),
         }));
         setGeneratedImages(initialPlaceholders);
+        setSessionMeta({
+            id: createSessionId(),
+            createdAt: Date.now(),
+            template,
+            sourceImage: uploadedImage,
+            sourceImages: uploadedImages,
+            options: { ...getTemplateOptions(), currentAlbumStyle: dynamicStyleForAlbum, subjectMode },
+        });
 
-        for (let i = 0; i < promptsForGeneration.length; i++) {
-            const p = promptsForGeneration[i];
+        await runWithConcurrency(promptsForGeneration, providerSettings.concurrency || DEFAULT_PROVIDER_SETTINGS.concurrency, async (p, i) => {
+            if (batchController.signal.aborted) {
+                if (isCurrentBatch()) {
+                    setGeneratedImages(prev => prev.map((img, index) =>
+                        index === i && img.status === 'pending' ? { ...img, status: 'cancelled' } : img
+                    ));
+                }
+                return;
+            }
+            const controller = startCardRequest(i, batchController.signal);
             try {
-                const modelInstruction = getModelInstruction(template, p, {
-                    headshotExpression, headshotPose,
-                    currentAlbumStyle: dynamicStyleForAlbum,
-                    lookbookStyle, customLookbookStyle,
-                    hairColors,
-                });
+                const modelInstruction = initialPlaceholders[i].instruction;
                 
-                const payload = {
-                    contents: [{
-                        parts: [
-                            { text: modelInstruction },
-                            { inlineData: { mimeType: "image/png", data: imageWithoutPrefix } }
-                        ]
-                    }],
-                };
+                const payload = buildImagePayload(modelInstruction, uploadedImages);
 
-                const imageUrl = await generateImageWithRetry(payload);
+                const variants = await generateImageVariants(payload, variantsPerPrompt, providerSettings, controller.signal);
 
-                setGeneratedImages(prev => prev.map((img, index) => 
-                    index === i ? { ...img, status: 'success', imageUrl } : img
-                ));
+                finishCardRequest(i, controller, { status: 'success', imageUrl: variants[0], variants, selectedVariant: 0, error: null });
 
             } catch (err) {
+                if (isAbortError(err)) {
+                    finishCardRequest(i, controller, { status: 'cancelled' });
+                    return;
+                }
                 console.error(`Failed to generate image for ${p.id} after all retries:`, err);
-                setGeneratedImages(prev => prev.map((img, index) =>
-                    index === i ? { ...img, status: 'failed' } : img
-                ));
+                finishCardRequest(i, controller, { status: 'failed', error: describeGenerationError(err) });
             }
-        }
+        });
 
-        setIsLoading(false);
+        if (isCurrentBatch()) {
+            batchControllerRef.current = null;
+            setIsLoading(false);
+        }
     };
 
     const triggerDownload = async (href, fileName) => {
@@ -991,11 +4638,17 @@ const App = () => {
         }
     };
 
-    const handleDownloadRequest = async (imageUrl, era, ratio) => {
-        const fileName = `picture-me-${era.toLowerCase().replace(/\s+/g, '-')}-${ratio.replace(':', 'x')}.png`;
+    // A caption typed on the card wins; otherwise themes with labels caption the picture with its name.
+    const handleDownloadRequest = async (imageUrl, era, ratio, { templateId = template, mode = albumSubjectMode, caption = '' } = {}) => {
         try {
-            const shouldAddLabel = !['headshots', 'eightiesMall', 'styleLookbook', 'figurines'].includes(template);
-            const framedImageUrl = await createSingleFramedImage(imageUrl, ratio, shouldAddLabel ? era : null);
+            const shouldAddLabel = !!templates[templateId]?.showLabels;
+            const framedImageUrl = await createSingleFramedImage(imageUrl, ratio, {
+                caption: caption || (shouldAddLabel ? era : null),
+                cropFit: getSubjectMode(mode).cropFit,
+                frame: frameOptions,
+                exportSettings: providerSettings,
+            });
+            const fileName = `picture-me-${era.toLowerCase().replace(/\s+/g, '-')}-${ratio.replace(':', 'x')}.${getExportExtension(framedImageUrl)}`;
             await triggerDownload(framedImageUrl, fileName);
         } catch (err) {
             console.error(`Failed to create framed image for download:`, err);
@@ -1004,13 +4657,13 @@ const App = () => {
     };
 
 
-    const handleAlbumDownloadRequest = async (ratio) => {
+    const handleAlbumDownloadRequest = async (ratio, images = generatedImages, templateId = template, mode = albumSubjectMode) => {
         if (isDownloadingAlbum) return;
         setIsDownloadingAlbum(true);
         setError(null);
 
         try {
-            const successfulImages = generatedImages.filter(img => img.status === 'success');
+            const successfulImages = images.filter(img => img.status === 'success');
             if (successfulImages.length === 0) {
                 setError("There are no successful images to include in an album.");
                 setIsDownloadingAlbum(false);
@@ -1018,22 +4671,11 @@ const App = () => {
             }
 
             // --- 1. Determine Album Title ---
-            let albumTitle = "My PictureMe Album";
-            switch (template) {
-                case 'decades': albumTitle = "Picture Me Through the Decades"; break;
-                case 'styleLookbook': albumTitle = "Picture Me in my Style Lookbook"; break;
-                case 'headshots': albumTitle = "Picture Me: Professional Headshots"; break;
-                case 'eightiesMall': albumTitle = "Picture Me at the '80s Mall"; break;
-                case 'impossibleSelfies': albumTitle = "Picture Me in Impossible Selfies"; break;
-                case 'hairStyler': albumTitle = "Picture Me with New Hairstyles"; break;
-                case 'figurines': albumTitle = "My Miniature Me Collection"; break;
-            }
-
-
-            const shouldAddLabel = !['headshots', 'eightiesMall', 'styleLookbook', 'figurines'].includes(template);
+            const albumTitle = templates[templateId]?.albumTitle || DEFAULT_ALBUM_TITLE;
+            const shouldAddLabel = !!templates[templateId]?.showLabels;
 
             const croppedImageUrls = await Promise.all(
-                successfulImages.map(img => cropImage(img.imageUrl, ratio))
+                successfulImages.map(img => cropImage(img.imageUrl, ratio, getSubjectMode(mode).cropFit))
             );
 
             const imagesToStitch = await Promise.all(
@@ -1134,7 +4776,8 @@ const App = () => {
             finalCtx.fillText("Edit your images with Nano Banana at gemini.google", finalCanvas.width / 2, finalCanvas.height - footerSpacing * 0.33);
 
 
-            await triggerDownload(finalCanvas.toDataURL('image/png'), `picture-me-album-${ratio.replace(':', 'x')}.png`);
+            const albumUrl = await exportCanvas(finalCanvas, providerSettings);
+            await triggerDownload(albumUrl, `picture-me-album-${ratio.replace(':', 'x')}.${getExportExtension(albumUrl)}`);
         } catch (err) {
             console.error("Failed to create or download album:", err);
             setError("Sorry, the album download failed. Please try again.");
@@ -1143,22 +4786,124 @@ const App = () => {
         }
     };
     
+    const getTemplateOptions = () => ({
+        values: templateOptions,
+        selectedPromptIds,
+        customPrompt,
+        isCustomPromptActive,
+        instructionOverrides,
+    });
+
+    const handleOpenSession = (session) => {
+        if (!templates[session.template]) {
+            setError("The theme used for this album is no longer available.");
+            return;
+        }
+        abortAllRequests();
+        setIsLoading(false);
+        setIsSettingUp(false);
+        setError(null);
+
+        const { images, ...meta } = session;
+        const { options } = session;
+        setTemplate(session.template);
+        setTemplateOptions({ ...getDefaultTemplateOptions(templates[session.template]), ...options.values });
+        setSelectedPromptIds(options.selectedPromptIds ?? []);
+        setCustomPrompt(options.customPrompt ?? '');
+        setIsCustomPromptActive(!!options.isCustomPromptActive);
+        setInstructionOverrides(options.instructionOverrides ?? {});
+        setCurrentAlbumStyle(options.currentAlbumStyle || '');
+        setReferences((session.sourceImages || [session.sourceImage]).map(original => ({ original, edited: null, edit: null })));
+        setSubjectMode(options.subjectMode || 'single');
+        setGeneratedImages(images.map(img => (img.status === 'pending' ? { ...img, status: 'cancelled' } : img)));
+        setSessionMeta(meta);
+        setIsHistoryOpen(false);
+
+        setTimeout(() => {
+            resultsRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }, 100);
+    };
+
     const handleTemplateSelect = (templateId) => {
         setTemplate(templateId);
         // Reset all other template states
-        setHeadshotExpression('Friendly Smile');
-        setHeadshotPose('Forward');
-        setLookbookStyle('');
-        setCustomLookbookStyle('');
-        setHairColors([]);
-        setSelectedHairStyles([]);
-        setCustomHairStyle('');
-        setIsCustomHairActive(false);
+        setTemplateOptions(getDefaultTemplateOptions(templates[templateId]));
+        setSelectedPromptIds([]);
+        setCustomPrompt('');
+        setIsCustomPromptActive(false);
+        setInstructionOverrides({});
+    };
+
+    const handleInstructionChange = (promptId, text) => {
+        setInstructionOverrides(prev => ({ ...prev, [promptId]: text }));
+    };
+
+    const handleInstructionReset = (promptId) => {
+        setInstructionOverrides(prev => {
+            const next = { ...prev };
+            delete next[promptId];
+            return next;
+        });
+    };
+
+    const updateCustomTemplates = (docs) => {
+        setCustomTemplateDocs(docs);
+        try {
+            saveCustomTemplates(docs);
+        } catch (err) {
+            console.error("Could not save custom templates:", err);
+            setError("Your themes couldn't be saved in this browser. Export them to keep a copy.");
+        }
+    };
+
+    const handleSaveCustomTemplate = (doc) => {
+        updateCustomTemplates(mergeTemplateDocuments(customTemplateDocs, [doc]));
+        if (template === doc.id) {
+            setTemplateOptions(getDefaultTemplateOptions(normalizeTemplate(doc)));
+            setSelectedPromptIds([]);
+        }
+    };
+
+    const handleDeleteCustomTemplate = (templateId) => {
+        updateCustomTemplates(customTemplateDocs.filter(doc => doc.id !== templateId));
+        if (template === templateId) {
+            handleTemplateSelect(null);
+        }
+    };
+
+    const handleExportTemplates = (docs = customTemplateDocs) => {
+        if (docs.length === 0) {
+            setError("You haven't created any themes to export yet.");
+            return;
+        }
+        const fileName = docs.length === 1
+            ? `picture-me-theme-${docs[0].name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'custom'}.json`
+            : 'picture-me-themes.json';
+        triggerDownload(`data:application/json;charset=utf-8,${encodeURIComponent(JSON.stringify(docs, null, 2))}`, fileName);
+    };
+
+    const handleImportTemplates = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow importing the same file again
+        if (!file) return;
+        try {
+            const docs = parseTemplateFile(await file.text());
+            updateCustomTemplates(mergeTemplateDocuments(customTemplateDocs, docs));
+            setError(null);
+        } catch (err) {
+            console.error("Template import failed:", err);
+            setError(`Couldn't import themes: ${err.message}`);
+        }
     };
 
     const handleStartOver = () => {
+        abortAllRequests();
+        setIsLoading(false);
+        setIsSettingUp(false);
         setGeneratedImages([]);
-        setUploadedImage(null);
+        setSessionMeta(null);
+        setReferences([]);
+        setSubjectMode('single');
         setError(null);
         setTemplate(null);
         // Reset all template states
@@ -1223,8 +4968,6 @@ const App = () => {
         ? (generatedImages.filter(img => img.status !== 'pending').length / generatedImages.length) * 100
         : 0;
 
-    const totalSelectedStyles = selectedHairStyles.length + (isCustomHairActive ? 1 : 0);
-
     
     return (
         <>
@@ -1246,6 +4989,77 @@ const App = () => {
                .styled-scrollbar::-webkit-scrollbar-thumb:hover { background: #FBBF24; }
             `}</style>
             
+            <SettingsModal
+                isOpen={isSettingsOpen}
+                onClose={() => setIsSettingsOpen(false)}
+                settings={providerSettings}
+                onSave={handleSettingsSave}
+            />
+
+            <PhotoEditorModal
+                isOpen={editingReferenceIndex !== null && !!references[editingReferenceIndex]}
+                imageUrl={references[editingReferenceIndex]?.original}
+                initialEdit={references[editingReferenceIndex]?.edit}
+                onClose={() => setEditingReferenceIndex(null)}
+                onApply={(edit) => handleApplyPhotoEdit(editingReferenceIndex, edit)}
+                onReset={() => handleResetPhotoEdit(editingReferenceIndex)}
+            />
+
+            <RefinePanel
+                isOpen={!!refiningImage}
+                onClose={closeRefinePanel}
+                era={refiningImage?.id}
+                versions={refiningImage?.versions || (refiningImage ? [{ imageUrl: refiningImage.imageUrl, request: null }] : [])}
+                versionIndex={refiningImage?.versionIndex || 0}
+                referenceCount={uploadedImages.length}
+                isRefining={refineState.isRefining}
+                refineError={refineState.error}
+                onSend={(request, includeOriginal) => refineImageAtIndex(refiningImageIndex, request, includeOriginal)}
+                onCancel={() => cancelCard(refiningImageIndex)}
+                onSelectVersion={(versionIndex) => handleSelectVersion(refiningImageIndex, versionIndex)}
+            />
+
+            <Lightbox
+                isOpen={lightboxIndex !== null}
+                images={lightboxImages}
+                index={lightboxIndex}
+                beforeImageUrl={uploadedImage}
+                onClose={() => setLightboxIndex(null)}
+                onNavigate={(index) => { setLightboxVariant(null); setLightboxIndex(index); }}
+                onDownload={handleDownloadRequest}
+                onRegenerate={(index) => { setLightboxVariant(null); regenerateImageAtIndex(index); }}
+            />
+
+            <MaskEditorModal
+                isOpen={maskEditingImage?.status === 'success'}
+                imageUrl={maskEditingImage?.imageUrl}
+                era={maskEditingImage?.id}
+                isApplying={maskEditState.isApplying}
+                applyError={maskEditState.error}
+                onClose={closeMaskEditor}
+                onApply={(maskUrl, instruction) => applyMaskedEdit(maskEditingIndex, maskUrl, instruction)}
+                onCancel={() => cancelCard(maskEditingIndex)}
+            />
+
+            <TemplateEditorModal
+                isOpen={templateEditor.isOpen}
+                onClose={() => setTemplateEditor({ isOpen: false, template: null })}
+                initialTemplate={templateEditor.template}
+                onSave={handleSaveCustomTemplate}
+                onDelete={handleDeleteCustomTemplate}
+                onExport={handleExportTemplates}
+            />
+
+            <HistoryPanel
+                isOpen={isHistoryOpen}
+                onClose={() => setIsHistoryOpen(false)}
+                templates={templates}
+                onOpenSession={handleOpenSession}
+                onDownloadAlbum={(session, ratio) => handleAlbumDownloadRequest(ratio, session.images, session.template, session.options?.subjectMode)}
+                onDownloadImage={(session, img) => handleDownloadRequest(img.imageUrl, img.id, '1:1', { templateId: session.template, mode: session.options?.subjectMode })}
+                isDownloadingAlbum={isDownloadingAlbum}
+            />
+
             <CameraModal
                 isOpen={isCameraOpen}
                 onClose={() => setIsCameraOpen(false)}
@@ -1257,7 +5071,23 @@ const App = () => {
                 
                 <div className="w-full max-w-6xl mx-auto">
                     
-                    <header className="text-center my-12">
+                    <header className="text-center my-12 relative">
+                        <div className="absolute top-0 right-0 flex gap-1">
+                            <button
+                                onClick={() => setIsHistoryOpen(true)}
+                                className="p-2 rounded-full text-gray-500 hover:text-white hover:bg-gray-800 transition-colors"
+                                aria-label="History"
+                            >
+                                <IconHistory />
+                            </button>
+                            <button
+                                onClick={() => setIsSettingsOpen(true)}
+                                className="p-2 rounded-full text-gray-500 hover:text-white hover:bg-gray-800 transition-colors"
+                                aria-label="Settings"
+                            >
+                                <IconSettings />
+                            </button>
+                        </div>
                         <h1 className="text-6xl md:text-7xl font-caveat text-white tracking-tight">
                             Picture<span className="text-yellow-400">Me</span>
                         </h1>
@@ -1271,8 +5101,11 @@ const App = () => {
                                 <div>
                                     <h2 className="text-2xl font-semibold mb-6 text-white">1. Your Photo</h2>
                                     <div 
-                                        className="w-full aspect-square border-4 border-dashed border-gray-700 rounded-xl flex items-center justify-center cursor-pointer hover:border-yellow-400 transition-colors bg-gray-800 overflow-hidden shadow-inner"
+                                        className={`w-full aspect-square border-4 border-dashed rounded-xl flex items-center justify-center cursor-pointer hover:border-yellow-400 transition-colors overflow-hidden shadow-inner ${isDraggingFile ? 'border-yellow-400 bg-yellow-900/20' : 'border-gray-700 bg-gray-800'}`}
                                         onClick={() => !uploadedImage && fileInputRef.current && fileInputRef.current.click()}
+                                        onDragOver={(e) => { e.preventDefault(); setIsDraggingFile(true); }}
+                                        onDragLeave={() => setIsDraggingFile(false)}
+                                        onDrop={handleImageDrop}
                                     >
                                         {isUploading ? (
                                             <div className="flex flex-col items-center">
@@ -1280,11 +5113,19 @@ const App = () => {
                                                 <p className="text-gray-400 mt-4">Uploading...</p>
                                             </div>
                                         ) : uploadedImage ? (
-                                            <img src={uploadedImage} alt="Uploaded preview" className="w-full h-full object-cover" />
+                                            <div className="relative w-full h-full">
+                                                <img src={uploadedImage} alt="Uploaded preview" className="w-full h-full object-contain" />
+                                                <button
+                                                    onClick={() => setEditingReferenceIndex(0)}
+                                                    className="absolute bottom-3 right-3 flex items-center gap-2 px-3 py-2 rounded-full bg-black/70 text-white text-sm font-semibold hover:bg-black/90 transition-colors"
+                                                >
+                                                    <IconPencil /> Crop & Rotate
+                                                </button>
+                                            </div>
                                         ) : (
                                             <div className="flex flex-col items-center justify-center p-6 text-center text-gray-500">
                                                 <IconUpload />
-                                                <p className="mt-4 text-lg text-gray-300">Click to upload a file</p>
+                                                <p className="mt-4 text-lg text-gray-300">Click, drop or paste a photo</p>
                                                 <p className="mt-4 text-sm">or</p>
                                                 <Button
                                                     onClick={(e) => {
@@ -1301,10 +5142,73 @@ const App = () => {
                                             </div>
                                         )}
                                     </div>
-                                    {uploadedImage && !isUploading && (
+                                    {uploadedImages.length > 0 && (
+                                        <div className="mt-4">
+                                            <div className="flex justify-between items-center mb-2">
+                                                <p className="text-sm text-gray-400">Reference photos of the same person. The first one is the main photo.</p>
+                                                <span className="text-sm font-bold text-gray-500">{uploadedImages.length} / {MAX_REFERENCE_PHOTOS}</span>
+                                            </div>
+                                            <div className="grid grid-cols-4 gap-3">
+                                                {uploadedImages.map((src, index) => (
+                                                    <div key={index} className={`relative group aspect-square rounded-lg overflow-hidden border-2 ${index === 0 ? 'border-yellow-400' : 'border-gray-700'}`}>
+                                                        <img src={src} alt={`Reference ${index + 1}`} className="w-full h-full object-cover" />
+                                                        {index === 0 && (
+                                                            <span className="absolute top-1 left-1 bg-yellow-400 text-black text-[10px] font-bold px-1.5 py-0.5 rounded">MAIN</span>
+                                                        )}
+                                                        <button
+                                                            onClick={() => handleRemoveReference(index)}
+                                                            className="absolute top-1 right-1 p-1 rounded-full bg-black/70 text-white hover:bg-red-500/80 transition-colors"
+                                                            aria-label={`Remove reference photo ${index + 1}`}
+                                                        >
+                                                            <IconX />
+                                                        </button>
+                                                        <button
+                                                            onClick={() => setEditingReferenceIndex(index)}
+                                                            className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 p-2 rounded-full bg-black/70 text-white opacity-0 group-hover:opacity-100 hover:bg-black/90 transition-opacity"
+                                                            aria-label={`Edit reference photo ${index + 1}`}
+                                                        >
+                                                            <IconPencil />
+                                                        </button>
+                                                        {uploadedImages.length > 1 && (
+                                                            <div className="absolute bottom-1 left-1 right-1 flex justify-between opacity-0 group-hover:opacity-100 transition-opacity">
+                                                                <button
+                                                                    onClick={() => handleMoveReference(index, -1)}
+                                                                    disabled={index === 0}
+                                                                    className="px-2 rounded bg-black/70 text-white text-sm disabled:opacity-0"
+                                                                    aria-label="Move left"
+                                                                >
+                                                                    ‹
+                                                                </button>
+                                                                <button
+                                                                    onClick={() => handleMoveReference(index, 1)}
+                                                                    disabled={index === uploadedImages.length - 1}
+                                                                    className="px-2 rounded bg-black/70 text-white text-sm disabled:opacity-0"
+                                                                    aria-label="Move right"
+                                                                >
+                                                                    ›
+                                                                </button>
+                                                            </div>
+                                                        )}
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    )}
+                                    {uploadedImage && (
+                                        <div className="mt-4 flex flex-wrap items-center gap-3">
+                                            <span className="text-sm font-medium text-gray-400">Who's in the photo?</span>
+                                            {Object.entries(SUBJECT_MODES).map(([mode, { label }]) => (
+                                                <RadioPill key={mode} name="subjectMode" value={mode} label={label} checked={subjectMode === mode} onChange={() => setSubjectMode(mode)} />
+                                            ))}
+                                        </div>
+                                    )}
+                                    {uploadedImage && !isUploading && uploadedImages.length < MAX_REFERENCE_PHOTOS && (
                                         <div className="flex flex-col sm:flex-row gap-4 mt-4 w-full">
                                             <Button onClick={() => fileInputRef.current && fileInputRef.current.click()} className="flex-1">
-                                                Change File
+                                                <div className="flex items-center justify-center gap-2">
+                                                    <IconPlus />
+                                                    <span>Add Another Angle</span>
+                                                </div>
                                             </Button>
                                             <Button onClick={() => setIsCameraOpen(true)} className="flex-1">
                                                 <div className="flex items-center justify-center gap-2">
@@ -1314,197 +5218,78 @@ const App = () => {
                                             </Button>
                                         </div>
                                     )}
-                                     <input type="file" ref={fileInputRef} onChange={handleImageUpload} accept="image/png, image/jpeg" className="hidden" />
+                                    {!isUploading && uploadedImages.length < MAX_REFERENCE_PHOTOS && (
+                                        <form
+                                            onSubmit={(e) => { e.preventDefault(); if (imageUrlInput.trim()) handleImageUrlImport(imageUrlInput); }}
+                                            className="flex gap-2 mt-4"
+                                        >
+                                            <input
+                                                type="url"
+                                                placeholder="...or paste an image link"
+                                                value={imageUrlInput}
+                                                onChange={(e) => setImageUrlInput(e.target.value)}
+                                                disabled={isLoading || isSettingUp}
+                                                className="flex-1 bg-gray-800 border border-gray-600 rounded-lg py-2 px-4 focus:outline-none focus:ring-2 focus:ring-yellow-400 text-white text-sm disabled:opacity-50"
+                                            />
+                                            <Button disabled={!imageUrlInput.trim() || isLoading || isSettingUp} className="text-sm px-4">Import</Button>
+                                        </form>
+                                    )}
+                                     <input type="file" ref={fileInputRef} onChange={handleImageUpload} accept={UPLOAD_ACCEPT} multiple className="hidden" />
                                 </div>
 
                                 <div>
                                      <h2 className="text-2xl font-semibold mb-6 text-white">2. Choose a Theme</h2>
                                      <div className="grid grid-cols-2 sm:grid-cols-3 gap-4 mb-8">
-                                        {Object.entries(templates).map(([key, data]) => (
-                                            <TemplateCard
-                                                key={key}
-                                                id={key}
-                                                name={data.name}
-                                                icon={data.icon}
-                                                description={data.description}
-                                                isSelected={template === key}
-                                                onSelect={handleTemplateSelect}
-                                            />
-                                        ))}
+                                        {Object.entries(templates).map(([key, data]) => {
+                                            const customDoc = customTemplateDocs.find(doc => doc.id === key);
+                                            return (
+                                                <TemplateCard
+                                                    key={key}
+                                                    id={key}
+                                                    name={data.name}
+                                                    icon={data.icon}
+                                                    description={data.description}
+                                                    isSelected={template === key}
+                                                    onSelect={handleTemplateSelect}
+                                                    onEdit={customDoc ? () => setTemplateEditor({ isOpen: true, template: customDoc }) : undefined}
+                                                />
+                                            );
+                                        })}
+                                        <NewTemplateCard onClick={() => setTemplateEditor({ isOpen: true, template: null })} />
+                                     </div>
+                                     <div className="flex justify-end gap-4 -mt-4 mb-8 text-sm">
+                                        <button onClick={() => templateFileInputRef.current?.click()} className="text-gray-400 hover:text-yellow-400 transition-colors">Import themes</button>
+                                        {customTemplateDocs.length > 0 && (
+                                            <button onClick={() => handleExportTemplates()} className="text-gray-400 hover:text-yellow-400 transition-colors">Export my themes</button>
+                                        )}
+                                        <input type="file" ref={templateFileInputRef} onChange={handleImportTemplates} accept="application/json,.json" className="hidden" />
                                      </div>
                                      
-                                     {template === 'hairStyler' && (
-                                        <motion.div
-                                            initial={{ opacity: 0, height: 0 }}
-                                            animate={{ opacity: 1, height: 'auto' }}
-                                            transition={{ duration: 0.3 }}
-                                            className="p-6 border border-gray-700 rounded-xl space-y-6 bg-gray-800/50"
-                                        >
-                                            <div className="flex justify-between items-center">
-                                                <h3 className='text-xl font-semibold text-white'>Customize Hairstyle</h3>
-                                                 <span className={`text-sm font-bold ${totalSelectedStyles >= 6 ? 'text-yellow-400' : 'text-gray-500'}`}>{totalSelectedStyles} / 6</span>
-                                            </div>
-                                            <div>
-                                                <label className="block text-sm font-medium text-gray-400 mb-3">Style (select up to 6)</label>
-                                                <div className="flex flex-wrap gap-3">
-                                                    {templates.hairStyler.prompts.map(prompt => (
-                                                        <button
-                                                            key={prompt.id}
-                                                            onClick={() => handleHairStyleSelect(prompt.id)}
-                                                            className={`cursor-pointer px-3 py-1.5 text-sm rounded-full transition-colors font-semibold 
-                                                                ${selectedHairStyles.includes(prompt.id) ? 'bg-yellow-400 text-black' : 'bg-gray-800 hover:bg-gray-700 text-gray-300'}`}
-                                                        >
-                                                            {prompt.id}
-                                                        </button>
-                                                    ))}
-                                                    <button
-                                                        onClick={() => handleHairStyleSelect('Other')}
-                                                        className={`cursor-pointer px-3 py-1.5 text-sm rounded-full transition-colors font-semibold 
-                                                            ${isCustomHairActive ? 'bg-yellow-400 text-black' : 'bg-gray-800 hover:bg-gray-700 text-gray-300'}`}
-                                                    >
-                                                        Other...
-                                                    </button>
-                                                </div>
-                                            </div>
-                                            
-                                            {isCustomHairActive && (
-                                                <motion.div
-                                                    initial={{ opacity: 0, y: -10 }}
-                                                    animate={{ opacity: 1, y: 0 }}
-                                                >
-                                                    <label className="block text-sm font-medium text-gray-400 mb-2">Your Custom Style</label>
-                                                    <input
-                                                        type="text"
-                                                        placeholder="e.g., A vibrant pink mohawk"
-                                                        value={customHairStyle}
-                                                        onChange={(e) => setCustomHairStyle(e.target.value)}
-                                                        className="w-full bg-gray-800 border border-gray-600 rounded-lg py-2 px-4 focus:outline-none focus:ring-2 focus:ring-yellow-400 text-white"
-                                                    />
-                                                </motion.div>
-                                            )}
-
-                                            <div>
-                                                <label className="block text-sm font-medium text-gray-400 mb-3">Hair Color</label>
-                                                <div className="flex items-center gap-4 flex-wrap">
-                                                    {hairColors.map((color, index) => (
-                                                        <motion.div
-                                                            key={index}
-                                                            initial={{ opacity: 0, scale: 0.8 }}
-                                                            animate={{ opacity: 1, scale: 1 }}
-                                                            className="flex items-center gap-2 p-2 bg-gray-700/50 rounded-lg border border-gray-600"
-                                                        >
-                                                            <div className="relative w-10 h-10 rounded-md overflow-hidden" style={{ backgroundColor: color }}>
-                                                                <input
-                                                                    type="color"
-                                                                    value={color}
-                                                                    onChange={(e) => handleColorChange(index, e.target.value)}
-                                                                    className="absolute inset-0 w-full h-full cursor-pointer opacity-0"
-                                                                />
-                                                            </div>
-                                                            <span className="font-mono text-sm text-gray-300 uppercase">{color}</span>
-                                                            <button
-                                                                onClick={() => removeHairColor(index)}
-                                                                className="p-1 rounded-full text-gray-500 hover:bg-gray-600 hover:text-red-400 transition-colors"
-                                                                aria-label="Remove color"
-                                                            >
-                                                                <IconX />
-                                                            </button>
-                                                        </motion.div>
-                                                    ))}
-
-                                                    {hairColors.length < 2 && (
-                                                        <button
-                                                            onClick={addHairColor}
-                                                            className="flex items-center justify-center gap-2 h-[68px] px-4 rounded-lg border-2 border-dashed border-gray-600 hover:border-yellow-400 text-gray-400 hover:text-yellow-400 transition-colors bg-gray-700/30"
-                                                        >
-                                                            <IconPlus />
-                                                            <span>{hairColors.length === 0 ? 'Add Color' : 'Add Highlight'}</span>
-                                                        </button>
-                                                    )}
-                                                </div>
-                                                {hairColors.length > 0 && (
-                                                     <button onClick={() => setHairColors([])} className="text-xs text-gray-500 hover:text-white transition-colors mt-3">
-                                                        Clear all colors
-                                                    </button>
-                                                )}
-                                            </div>
-                                        </motion.div>
-                                     )}
-
-                                     {template === 'headshots' && (
-                                        <motion.div
-                                            initial={{ opacity: 0, height: 0 }}
-                                            animate={{ opacity: 1, height: 'auto' }}
-                                            transition={{ duration: 0.3 }}
-                                            className="p-6 border border-gray-700 rounded-xl space-y-6 bg-gray-800/50"
-                                        >
-                                            <h3 className='text-xl font-semibold text-white'>Customize Headshot</h3>
-                                            <div>
-                                                <label className="block text-sm font-medium text-gray-400 mb-3">Facial Expression</label>
-                                                <div className="flex flex-wrap gap-3">
-                                                    <RadioPill name="expression" value="Friendly Smile" label="Friendly Smile" checked={headshotExpression === 'Friendly Smile'} onChange={e => setHeadshotExpression(e.target.value)} />
-                                                    <RadioPill name="expression" value="Confident Look" label="Confident Look" checked={headshotExpression === 'Confident Look'} onChange={e => setHeadshotExpression(e.target.value)} />
-                                                    <RadioPill name="expression" value="Thoughtful Gaze" label="Thoughtful Gaze" checked={headshotExpression === 'Thoughtful Gaze'} onChange={e => setHeadshotExpression(e.target.value)} />
-                                                </div>
-                                            </div>
-                                             <div>
-                                                <label className="block text-sm font-medium text-gray-400 mb-3">Pose</label>
-                                                 <div className="flex flex-wrap gap-3">
-                                                    <RadioPill name="pose" value="Forward" label="Facing Forward" checked={headshotPose === 'Forward'} onChange={e => setHeadshotPose(e.target.value)} />
-                                                    <RadioPill name="pose" value="Angle" label="Slight Angle" checked={headshotPose === 'Angle'} onChange={e => setHeadshotPose(e.target.value)} />
-                                                </div>
-                                            </div>
-                                         </motion.div>
+                                     {activeTemplate && (
+                                        <TemplateOptionsPanel
+                                            key={template}
+                                            template={activeTemplate}
+                                            values={templateOptions}
+                                            onOptionChange={handleOptionChange}
+                                            selectedPromptIds={selectedPromptIds}
+                                            onPromptSelect={handlePromptSelect}
+                                            customPrompt={customPrompt}
+                                            onCustomPromptChange={setCustomPrompt}
+                                            isCustomPromptActive={isCustomPromptActive}
+                                        />
                                      )}
-
-                                     {template === 'styleLookbook' && (
-                                        <motion.div
-                                            initial={{ opacity: 0, height: 0 }}
-                                            animate={{ opacity: 1, height: 'auto' }}
-                                            transition={{ duration: 0.3 }}
-                                            className="p-6 border border-gray-700 rounded-xl space-y-6 bg-gray-800/50"
-                                        >
-                                            <h3 className='text-xl font-semibold text-white'>Choose a Fashion Style</h3>
-                                            <div>
-                                                <div className="flex flex-wrap gap-3">
-                                                    {templates.styleLookbook.styles.map(style => (
-                                                        <RadioPill 
-                                                            key={style}
-                                                            name="style" 
-                                                            value={style} 
-                                                            label={style} 
-                                                            checked={lookbookStyle === style} 
-                                                            onChange={e => {
-                                                                setLookbookStyle(e.target.value);
-                                                                setCustomLookbookStyle('');
-                                                            }}
-                                                        />
-                                                    ))}
-                                                    <RadioPill
-                                                        name="style"
-                                                        value="Other"
-                                                        label="Other..."
-                                                        checked={lookbookStyle === 'Other'}
-                                                        onChange={e => setLookbookStyle(e.target.value)}
-                                                    />
-                                                </div>
-                                            </div>
-                                            {lookbookStyle === 'Other' && (
-                                                <motion.div
-                                                    initial={{ opacity: 0, y: -10 }}
-                                                    animate={{ opacity: 1, y: 0 }}
-                                                >
-                                                    <label className="block text-sm font-medium text-gray-400 mb-2">Your Custom Style</label>
-                                                    <input
-                                                        type="text"
-                                                        placeholder="e.g., Cyberpunk, Avant-garde"
-                                                        value={customLookbookStyle}
-                                                        onChange={(e) => setCustomLookbookStyle(e.target.value)}
-                                                        className="w-full bg-gray-800 border border-gray-600 rounded-lg py-2 px-4 focus:outline-none focus:ring-2 focus:ring-yellow-400 text-white"
-                                                    />
-                                                </motion.div>
-                                            )}
-                                        </motion.div>
+                                     {activeTemplate && (
+                                        <InstructionDrawer
+                                            key={`instructions-${template}`}
+                                            template={activeTemplate}
+                                            prompts={getPromptsForGeneration(activeTemplate, promptSelection)}
+                                            options={templateOptions}
+                                            referenceCount={uploadedImages.length}
+                                            subjectMode={subjectMode}
+                                            overrides={instructionOverrides}
+                                            onChange={handleInstructionChange}
+                                            onReset={handleInstructionReset}
+                                        />
                                      )}
                                 </div>
                             </div>
@@ -1538,8 +5323,9 @@ const App = () => {
                             {isSettingUp && (
                                 <div className="text-center my-20 flex flex-col items-center p-10 bg-gray-900/70 rounded-2xl">
                                     <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-b-4 border-pink-500 mb-6"></div>
-                                    <p className="text-2xl text-pink-400 font-semibold tracking-wider italic">Teasing our hair and firing up the lasers...</p>
-                                    <p className="text-gray-400 mt-2">Generating a totally tubular '80s photoshoot style!</p>
+                                    <p className="text-2xl text-pink-400 font-semibold tracking-wider italic">{activeTemplate?.albumStyle?.loadingTitle || "Setting the stage..."}</p>
+                                    <p className="text-gray-400 mt-2">{activeTemplate?.albumStyle?.loadingSubtitle || "Generating a style for your photoshoot!"}</p>
+                                    <Button onClick={cancelBatch} className="mt-6">Cancel</Button>
                                 </div>
                             )}
                             
@@ -1549,22 +5335,24 @@ const App = () => {
 
                                     {isLoading && (
                                         <div className="w-full max-w-4xl mx-auto mb-8 text-center">
-                                            <div className="bg-gray-800 rounded-full h-3 overflow-hidden shadow-md">
-                                                <motion.div
-                                                    className="bg-yellow-400 h-3 rounded-full"
-                                                    initial={{ width: 0 }}
-                                                    animate={{ width: `${progress}%` }}
-                                                    transition={{ duration: 0.5 }}
-                                                />
+                                            <div className="flex items-center gap-4">
+                                                <div className="flex-1 bg-gray-800 rounded-full h-3 overflow-hidden shadow-md">
+                                                    <motion.div
+                                                        className="bg-yellow-400 h-3 rounded-full"
+                                                        initial={{ width: 0 }}
+                                                        animate={{ width: `${progress}%` }}
+                                                        transition={{ duration: 0.5 }}
+                                                    />
+                                                </div>
+                                                <Button onClick={cancelBatch} className="px-4 py-1 text-sm">Cancel</Button>
                                             </div>
                                             <p className="text-gray-400 mt-4 text-sm">Please keep this window open while your photos are being generated.</p>
                                         </div>
                                     )}
                                      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-10 mt-8">
                                         {generatedImages.map((img, index) => {
-                                            const activeTemplate = templates[template] || {};
-                                            const isPolaroid = activeTemplate.isPolaroid;
-                                            const showLabel = !['headshots', 'eightiesMall', 'styleLookbook', 'figurines'].includes(template);
+                                            const isPolaroid = !!activeTemplate?.isPolaroid;
+                                            const showLabel = !!activeTemplate?.showLabels;
                                             
                                             switch (img.status) {
                                                 case 'success':
@@ -1572,19 +5360,31 @@ const App = () => {
                                                         key={`${img.id}-${index}-success`}
                                                         era={img.id}
                                                         imageUrl={img.imageUrl}
+                                                        variants={img.versions ? [] : img.variants}
+                                                        selectedVariant={img.selectedVariant}
+                                                        onSelectVariant={(variantIndex) => handleSelectVariant(index, variantIndex)}
                                                         onDownload={handleDownloadRequest}
                                                         onRegenerate={() => regenerateImageAtIndex(index)}
+                                                        onRefine={() => setRefiningImageIndex(index)}
+                                                        onEditArea={() => setMaskEditingIndex(index)}
+                                                        onOpen={(variantIndex) => { setLightboxVariant(variantIndex); setLightboxIndex(index); }}
+                                                        frame={frameOptions}
+                                                        onFrameChange={updateFrameOptions}
+                                                        cropFit={getSubjectMode(albumSubjectMode).cropFit}
                                                         isPolaroid={isPolaroid}
                                                         index={index}
                                                         showLabel={showLabel}
                                                     />;
                                                 case 'failed':
+                                                case 'cancelled':
                                                     return <ErrorCard
-                                                        key={`${img.id}-${index}-failed`}
+                                                        key={`${img.id}-${index}-${img.status}`}
                                                         era={img.id}
                                                         isPolaroid={isPolaroid}
                                                         onRegenerate={() => regenerateImageAtIndex(index)}
                                                         showLabel={showLabel}
+                                                        isCancelled={img.status === 'cancelled'}
+                                                        error={img.error}
                                                     />;
                                                 case 'pending':
                                                 default:
@@ -1592,7 +5392,8 @@ const App = () => {
                                                         key={`${img.id}-${index}-pending`} 
                                                         era={img.id} 
                                                         isPolaroid={isPolaroid}
-                                                        showLabel={showLabel} />;
+                                                        showLabel={showLabel}
+                                                        onCancel={() => cancelCard(index)} />;
                                             }
                                         })}
                                     </div>
@@ -0,0 +1,220 @@
+// Local stand-in for the Gemini generateContent API, for development and demos without an API key.
+//
+//   node mock-server.js [--port 8787] [--mode ok] [--latency 800]
+//
+// Then pick "Local mock server" as the image engine in the app's settings. The server also
+// serves index.html, script.js and style.css, so http://localhost:8787/ runs the app itself
+// (the libraries index.html loads still come from their CDNs).
+//
+// Modes (also switchable at runtime with GET /__mock/mode?set=<mode>):
+//   ok            every request succeeds
+//   rate-limit    every request fails with 429 and a Retry-After header
+//   server-error  every request fails with 500
+//   empty         200 with an empty candidate (no image, no text)
+//   safety        200 with promptFeedback.blockReason = SAFETY
+//   image-safety  200 with finishReason = IMAGE_SAFETY and a short refusal text
+//   flaky         cycles through 429, 500, ok, ok
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const MODES = ['ok', 'rate-limit', 'server-error', 'empty', 'safety', 'image-safety', 'flaky'];
+const FLAKY_SEQUENCE = ['rate-limit', 'server-error', 'ok', 'ok'];
+const STATIC_FILES = {
+    '/': ['index.html', 'text/html; charset=utf-8'],
+    '/index.html': ['index.html', 'text/html; charset=utf-8'],
+    '/script.js': ['script.js', 'text/javascript; charset=utf-8'],
+    '/style.css': ['style.css', 'text/css; charset=utf-8'],
+};
+
+const ALBUM_STYLES = [
+    { backdrop: "a mock laser backdrop", lighting: "mock neon lighting", wardrobePalette: "mock pink and teal", props: "a mock boombox" },
+    { backdrop: "a mock cloudy canvas backdrop", lighting: "mock soft studio lighting", wardrobePalette: "mock pastels", props: "a mock wicker chair" },
+    { backdrop: "a mock starfield backdrop", lighting: "mock purple rim lights", wardrobePalette: "mock black and gold", props: "a mock telephone" },
+];
+
+const readArgs = (argv) => {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            const [key, inlineValue] = argv[i].slice(2).split('=');
+            args[key] = inlineValue !== undefined ? inlineValue : argv[++i];
+        }
+    }
+    return args;
+};
+
+const args = readArgs(process.argv.slice(2));
+const port = Number(args.port || process.env.MOCK_PORT || 8787);
+const latency = Number(args.latency || process.env.MOCK_LATENCY || 800);
+let mode = args.mode || process.env.MOCK_MODE || 'ok';
+let requestCount = 0;
+
+if (!MODES.includes(mode)) {
+    console.error(`Unknown mode "${mode}". Use one of: ${MODES.join(', ')}`);
+    process.exit(1);
+}
+
+const hashString = (text) => {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+    }
+    return Math.abs(hash);
+};
+
+const escapeXml = (text) => text.replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+
+const wrapText = (text, maxChars, maxLines) => {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (candidate.length > maxChars && line) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+    if (line) lines.push(line);
+    if (lines.length > maxLines) {
+        lines.length = maxLines;
+        lines[maxLines - 1] = `${lines[maxLines - 1]}…`;
+    }
+    return lines;
+};
+
+// Same input, same picture: the photo tinted by a hue derived from the instruction, with the instruction printed on top.
+const renderPlaceholder = (instruction, image, model) => {
+    const hue = hashString(instruction) % 360;
+    const lines = wrapText(instruction, 70, 10).map((line, i) => `<tspan x="32" dy="${i === 0 ? 0 : 34}">${escapeXml(line)}</tspan>`).join('');
+    const photo = image
+        ? `<image href="data:${image.mimeType};base64,${image.data}" width="1024" height="1024" preserveAspectRatio="xMidYMid slice"/>`
+        : '';
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="1024" height="1024" viewBox="0 0 1024 1024">`
+        + `<rect width="1024" height="1024" fill="#1f2937"/>`
+        + photo
+        + `<rect width="1024" height="1024" fill="hsl(${hue}, 80%, 50%)" fill-opacity="0.35"/>`
+        + `<text x="32" y="56" font-family="Inter, sans-serif" font-size="28" font-weight="700" fill="#FBBF24">MOCK · ${escapeXml(model)}</text>`
+        + `<rect y="635" width="1024" height="389" fill="#000000" fill-opacity="0.65"/>`
+        + `<text x="32" y="680" font-family="Inter, sans-serif" font-size="24" font-weight="600" fill="#FFFFFF">${lines}</text>`
+        + `</svg>`;
+    return Buffer.from(svg).toString('base64');
+};
+
+const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+});
+
+const currentMode = () => (mode === 'flaky' ? FLAKY_SEQUENCE[(requestCount - 1) % FLAKY_SEQUENCE.length] : mode);
+
+const handleGenerateContent = async (req, res, model) => {
+    requestCount++;
+    const activeMode = currentMode();
+    const payload = JSON.parse(await readBody(req) || '{}');
+    const parts = payload.contents?.[0]?.parts || [];
+    const instruction = parts.filter(p => p.text).map(p => p.text).join('\n\n');
+    const image = parts.find(p => p.inlineData)?.inlineData;
+
+    await new Promise(resolve => setTimeout(resolve, latency));
+    console.log(`#${requestCount} ${model} → ${activeMode}`);
+
+    switch (activeMode) {
+        case 'rate-limit':
+            return sendJson(res, 429, { error: { code: 429, message: "Resource has been exhausted (mock).", status: 'RESOURCE_EXHAUSTED' } }, { 'Retry-After': '2' });
+        case 'server-error':
+            return sendJson(res, 500, { error: { code: 500, message: "Internal error (mock).", status: 'INTERNAL' } });
+        case 'empty':
+            return sendJson(res, 200, { candidates: [{ content: { parts: [] }, finishReason: 'STOP' }] });
+        case 'safety':
+            return sendJson(res, 200, { promptFeedback: { blockReason: 'SAFETY' } });
+        case 'image-safety':
+            return sendJson(res, 200, {
+                candidates: [{
+                    content: { parts: [{ text: "I can't create that image (mock refusal)." }] },
+                    finishReason: 'IMAGE_SAFETY',
+                }],
+            });
+        default:
+            break;
+    }
+
+    // Requests with a response schema come from the '80s Mall style generator and want JSON text back.
+    if (payload.generationConfig?.responseSchema) {
+        const style = ALBUM_STYLES[hashString(instruction) % ALBUM_STYLES.length];
+        return sendJson(res, 200, { candidates: [{ content: { parts: [{ text: JSON.stringify(style) }] }, finishReason: 'STOP' }] });
+    }
+
+    return sendJson(res, 200, {
+        candidates: [{
+            content: { parts: [{ inlineData: { mimeType: 'image/svg+xml', data: renderPlaceholder(instruction, image, model) } }] },
+            finishReason: 'STOP',
+        }],
+    });
+};
+
+const server = http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    try {
+        if (url.pathname === '/__mock/mode') {
+            const requested = url.searchParams.get('set');
+            if (requested) {
+                if (!MODES.includes(requested)) {
+                    return sendJson(res, 400, { error: { message: `Unknown mode. Use one of: ${MODES.join(', ')}` } });
+                }
+                mode = requested;
+                requestCount = 0;
+                console.log(`Mode switched to ${mode}`);
+            }
+            return sendJson(res, 200, { mode, modes: MODES });
+        }
+
+        const generateMatch = url.pathname.match(/^\/v1beta\/models\/([^/:]+):generateContent$/);
+        if (req.method === 'POST' && generateMatch) {
+            return await handleGenerateContent(req, res, decodeURIComponent(generateMatch[1]));
+        }
+
+        const modelMatch = url.pathname.match(/^\/v1beta\/models\/([^/:]+)$/);
+        if (req.method === 'GET' && modelMatch) {
+            return sendJson(res, 200, { name: `models/${decodeURIComponent(modelMatch[1])}`, displayName: 'Mock model' });
+        }
+
+        const staticFile = STATIC_FILES[url.pathname];
+        if (req.method === 'GET' && staticFile) {
+            const [fileName, contentType] = staticFile;
+            res.writeHead(200, { 'Content-Type': contentType });
+            fs.createReadStream(path.join(__dirname, fileName)).pipe(res);
+            return;
+        }
+
+        sendJson(res, 404, { error: { code: 404, message: `No mock route for ${req.method} ${url.pathname}` } });
+    } catch (err) {
+        console.error(err);
+        sendJson(res, 400, { error: { code: 400, message: err.message } });
+    }
+});
+
+server.listen(port, () => {
+    console.log(`PictureMe mock server on http://localhost:${port} (mode: ${mode}, latency: ${latency}ms)`);
+    console.log(`API base URL: http://localhost:${port}/v1beta`);
+});